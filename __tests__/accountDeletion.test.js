@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+import {
+  DELETED_USER_NAME,
+  exportUserData,
+  deleteAccount,
+} from '../services/accountService.js';
+
+// Replaces model methods for one test and records every call made to them
+const useModels = (fakes) => {
+  const calls = [];
+  const restores = [];
+
+  Object.entries(fakes).forEach(([name, { model, ...methods }]) => {
+    Object.entries(methods).forEach(([method, fake]) => {
+      const original = model[method];
+      model[method] = (...args) => {
+        calls.push([`${name}.${method}`, ...args]);
+        return fake(...args);
+      };
+      restores.push(() => {
+        model[method] = original;
+      });
+    });
+  });
+
+  return { calls, restore: () => restores.forEach(restore => restore()) };
+};
+
+// Queries resolve through lean() or sort().lean()
+const query = (result) => ({
+  lean: async () => result,
+  sort: () => query(result),
+});
+
+const userId = new mongoose.Types.ObjectId();
+
+const address = {
+  fullName: 'Sam Jones',
+  address: '1 High Street',
+  city: 'Leeds',
+  state: 'West Yorkshire',
+  country: 'UK',
+  postalCode: 'LS1 1AA',
+  phone: '0123',
+};
+
+const deletionFakes = (products = []) => ({
+  order: {
+    model: Order,
+    find: () =>
+      query([
+        { _id: 'order1', shippingInfo: address, paymentInfo: { email_address: 'sam@example.com' } },
+        { _id: 'order2', shippingInfo: address, billingInfo: address },
+      ]),
+    bulkWrite: async () => ({}),
+  },
+  product: { model: Product, find: async () => products, updateMany: async () => ({}) },
+  seller: { model: Seller, deleteOne: async () => ({}) },
+  cart: { model: Cart, deleteMany: async () => ({}) },
+  session: { model: Session, deleteMany: async () => ({}) },
+  user: { model: User, deleteOne: async () => ({}) },
+  audit: { model: AuditLog, create: async () => ({}) },
+});
+
+describe('Account deletion', () => {
+  let models;
+
+  afterEach(() => models.restore());
+
+  it('should strip personal details from orders but keep the orders', async () => {
+    models = useModels(deletionFakes());
+
+    await deleteAccount(new User({ _id: userId, name: 'Sam', email: 'sam@example.com' }));
+
+    const [, operations] = models.calls.find(([call]) => call === 'order.bulkWrite');
+    const [first, second] = operations.map(operation => operation.updateOne.update.$set);
+
+    expect(first).toEqual(
+      expect.objectContaining({
+        user: null,
+        isAnonymized: true,
+        'shippingInfo.fullName': DELETED_USER_NAME,
+        'shippingInfo.address': 'REDACTED',
+        'shippingInfo.phone': 'REDACTED',
+        'paymentInfo.email_address': 'REDACTED',
+      })
+    );
+    expect(first).not.toHaveProperty('billingInfo.fullName');
+    expect(second['billingInfo.postalCode']).toBe('REDACTED');
+    expect(models.calls.map(([call]) => call)).not.toContain('order.deleteMany');
+  });
+
+  it('should keep reviews under the deleted user name by default', async () => {
+    models = useModels(deletionFakes());
+
+    await deleteAccount(new User({ _id: userId, name: 'Sam', email: 'sam@example.com' }));
+
+    const [, filter, update, options] = models.calls.find(([call]) => call === 'product.updateMany');
+
+    expect(filter).toEqual({ 'reviews.user': userId });
+    expect(update.$set).toEqual({
+      'reviews.$[review].user': null,
+      'reviews.$[review].name': DELETED_USER_NAME,
+    });
+    expect(options.arrayFilters).toEqual([{ 'review.user': userId }]);
+  });
+
+  it('should remove only the user\'s reviews when asked to', async () => {
+    const product = new Product({
+      name: 'Kettle',
+      description: 'Electric kettle',
+      price: 40,
+      category: new mongoose.Types.ObjectId(),
+      seller: new mongoose.Types.ObjectId(),
+      reviews: [
+        { user: userId, name: 'Sam', rating: 1, comment: 'Leaks' },
+        { user: null, name: DELETED_USER_NAME, rating: 4, comment: 'Fine' },
+      ],
+    });
+    product.save = async () => product;
+    models = useModels(deletionFakes([product]));
+
+    await deleteAccount(
+      new User({ _id: userId, name: 'Sam', email: 'sam@example.com', deletionReviewMode: 'remove' })
+    );
+
+    expect(product.reviews.map(review => review.comment)).toEqual(['Fine']);
+  });
+
+  it('should take down the storefront and delete the account data', async () => {
+    models = useModels(deletionFakes());
+
+    await deleteAccount(new User({ _id: userId, name: 'Sam', email: 'sam@example.com' }));
+
+    const calls = Object.fromEntries(models.calls.map(([call, ...args]) => [call, args]));
+
+    expect(calls['seller.deleteOne']).toEqual([{ user: userId }]);
+    expect(calls['product.updateMany']).toBeDefined();
+    expect(calls['cart.deleteMany']).toEqual([{ user: userId }]);
+    expect(calls['session.deleteMany']).toEqual([{ user: userId }]);
+    expect(calls['user.deleteOne']).toEqual([{ _id: userId }]);
+    expect(calls['audit.create'][0]).toEqual(
+      expect.objectContaining({ action: 'user.delete', target: userId })
+    );
+  });
+});
+
+describe('Personal data export', () => {
+  let models;
+
+  afterEach(() => models.restore());
+
+  it('should leave out secrets and include only the user\'s own reviews', async () => {
+    const productId = new mongoose.Types.ObjectId();
+
+    models = useModels({
+      user: {
+        model: User,
+        findById: () =>
+          query({
+            _id: userId,
+            name: 'Sam',
+            password: 'hash',
+            resetPasswordToken: 'token',
+            twoFactor: { enabled: true, secret: 'secret', recoveryCodes: ['a'] },
+          }),
+      },
+      seller: { model: Seller, findOne: () => query(null) },
+      cart: { model: Cart, find: () => query([]) },
+      order: { model: Order, find: () => query([]) },
+      product: {
+        model: Product,
+        find: () =>
+          query([
+            {
+              _id: productId,
+              name: 'Kettle',
+              reviews: [
+                { user: userId, rating: 5, comment: 'Mine' },
+                { user: null, rating: 2, comment: 'Anonymized' },
+                { user: new mongoose.Types.ObjectId(), rating: 3, comment: 'Someone else' },
+              ],
+            },
+          ]),
+      },
+      session: {
+        model: Session,
+        find: () => query([{ userAgent: 'jest', ip: '1.2.3.4', refreshTokenHash: 'hash' }]),
+      },
+    });
+
+    const data = await exportUserData(userId);
+
+    expect(data.profile).not.toHaveProperty('password');
+    expect(data.profile).not.toHaveProperty('resetPasswordToken');
+    expect(data.profile.twoFactor).toEqual({ enabled: true });
+    expect(data.reviews.map(review => review.comment)).toEqual(['Mine']);
+    expect(data.reviews[0].product).toEqual({ _id: productId, name: 'Kettle' });
+    expect(data.sessions[0]).not.toHaveProperty('refreshTokenHash');
+  });
+});
@@ -0,0 +1,219 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { clearOutbox, resetTransport } from '../services/mailService.js';
+import {
+  addAddress,
+  updateAddress,
+  deleteAddress,
+} from '../controllers/addressController.js';
+import { createOrder } from '../controllers/orderController.js';
+
+// Runs a handler and resolves with the response body, or the error passed on
+const call = (handler, req) =>
+  new Promise(resolve => {
+    const res = { status: () => res, json: resolve };
+    handler(req, res, resolve);
+  });
+
+const home = {
+  label: 'Home',
+  fullName: 'Sam Jones',
+  address: '1 High Street',
+  city: 'Leeds',
+  state: 'West Yorkshire',
+  country: 'UK',
+  postalCode: 'LS1 1AA',
+  phone: '0123',
+};
+
+const work = { ...home, label: 'Work', address: '9 Mill Lane', postalCode: 'LS2 2BB' };
+
+const buildUser = (addresses = []) => {
+  const user = new User({
+    name: 'Sam',
+    email: 'sam@example.com',
+    isEmailVerified: true,
+    addresses,
+  });
+  user.save = async () => user;
+  return user;
+};
+
+const defaults = (user) =>
+  user.addresses.map(({ label, isDefaultShipping, isDefaultBilling }) => ({
+    label,
+    isDefaultShipping,
+    isDefaultBilling,
+  }));
+
+describe('Address book', () => {
+  let findById;
+  let user;
+
+  const send = (handler, { params = {}, body = {} } = {}) =>
+    call(handler, { user, params, body });
+
+  beforeEach(() => {
+    findById = User.findById;
+    User.findById = async () => user;
+  });
+
+  afterEach(() => {
+    User.findById = findById;
+  });
+
+  it('should make the first address the default for shipping and billing', async () => {
+    user = buildUser();
+
+    await send(addAddress, { body: home });
+
+    expect(defaults(user)).toEqual([
+      { label: 'Home', isDefaultShipping: true, isDefaultBilling: true },
+    ]);
+  });
+
+  it('should move a default flag to the address that claims it', async () => {
+    user = buildUser([{ ...home, isDefaultShipping: true, isDefaultBilling: true }]);
+
+    await send(addAddress, { body: { ...work, isDefaultShipping: true } });
+
+    expect(defaults(user)).toEqual([
+      { label: 'Home', isDefaultShipping: false, isDefaultBilling: true },
+      { label: 'Work', isDefaultShipping: true, isDefaultBilling: false },
+    ]);
+    expect(user.getDefaultAddress('shipping').label).toBe('Work');
+    expect(user.getDefaultAddress('billing').label).toBe('Home');
+  });
+
+  it('should hand the default over when the default address is deleted', async () => {
+    user = buildUser([{ ...home, isDefaultShipping: true, isDefaultBilling: true }, work]);
+
+    await send(deleteAddress, { params: { addressId: user.addresses[0]._id.toString() } });
+
+    expect(defaults(user)).toEqual([
+      { label: 'Work', isDefaultShipping: true, isDefaultBilling: true },
+    ]);
+  });
+
+  it('should only update the fields customers may set', async () => {
+    user = buildUser([home]);
+    const id = user.addresses[0]._id;
+
+    const body = await send(updateAddress, {
+      params: { addressId: id.toString() },
+      body: { city: 'York', _id: new mongoose.Types.ObjectId() },
+    });
+
+    expect(body.data.city).toBe('York');
+    expect(body.data._id).toEqual(id);
+  });
+
+  it('should return 404 for addresses the user does not have', async () => {
+    user = buildUser([home]);
+
+    const error = await send(updateAddress, {
+      params: { addressId: new mongoose.Types.ObjectId().toString() },
+      body: { city: 'York' },
+    });
+
+    expect(error.statusCode).toBe(404);
+  });
+});
+
+describe('Order addresses', () => {
+  const env = { ...process.env };
+  const product = new Product({
+    name: 'Kettle',
+    description: 'Electric kettle',
+    price: 20,
+    stock: 5,
+    images: [{ url: 'kettle.jpg' }],
+    category: new mongoose.Types.ObjectId(),
+    seller: new mongoose.Types.ObjectId(),
+    status: 'published',
+  });
+  const orderBody = {
+    orderItems: [{ product: product._id.toString(), quantity: 1, price: 20 }],
+    itemsPrice: 20,
+    taxPrice: 3,
+    shippingPrice: 10,
+    totalPrice: '33.00',
+    paymentMethod: 'card',
+  };
+  let originals;
+
+  beforeEach(async () => {
+    originals = {
+      find: Product.find,
+      findOne: Cart.findOne,
+      save: Order.prototype.save,
+    };
+    Product.find = async () => [product];
+    Cart.findOne = async () => null;
+    Order.prototype.save = async function() {
+      return this;
+    };
+
+    process.env.MAIL_TRANSPORT = 'outbox';
+    process.env.MAIL_OUTBOX_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    resetTransport();
+  });
+
+  afterEach(async () => {
+    await clearOutbox();
+    process.env = { ...env };
+    resetTransport();
+
+    Product.find = originals.find;
+    Cart.findOne = originals.findOne;
+    Order.prototype.save = originals.save;
+  });
+
+  it('should snapshot the chosen address into the order', async () => {
+    const user = buildUser([home, work]);
+
+    const body = await call(createOrder, {
+      user,
+      body: { ...orderBody, addressId: user.addresses[1]._id.toString() },
+    });
+
+    user.addresses[1].address = '10 Mill Lane';
+
+    expect(body.data.shippingInfo.address).toBe('9 Mill Lane');
+    expect(body.data.shippingInfo.postalCode).toBe('LS2 2BB');
+  });
+
+  it('should fall back to the default addresses', async () => {
+    const user = buildUser([
+      { ...home, isDefaultBilling: true },
+      { ...work, isDefaultShipping: true },
+    ]);
+
+    const body = await call(createOrder, { user, body: orderBody });
+
+    expect(body.data.shippingInfo.address).toBe('9 Mill Lane');
+    expect(body.data.billingInfo.address).toBe('1 High Street');
+  });
+
+  it('should return 404 for an address the user does not have', async () => {
+    const error = await call(createOrder, {
+      user: buildUser([home]),
+      body: { ...orderBody, addressId: new mongoose.Types.ObjectId().toString() },
+    });
+
+    expect(error.statusCode).toBe(404);
+  });
+
+  it('should ask for an address when none is saved or given', async () => {
+    const error = await call(createOrder, { user: buildUser(), body: orderBody });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Please provide a shipping address');
+  });
+});
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../app.js';
+import ApiKey from '../models/ApiKey.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import AuditLog from '../models/AuditLog.js';
+import { permit, protectWith } from '../middleware/auth.js';
+
+// Runs a middleware and resolves with whatever it passed to next
+const run = (middleware, req) =>
+  new Promise(resolve => middleware(req, {}, resolve));
+
+describe('API key authorization', () => {
+  const apiKey = { prefix: 'ek_abcdefgh', scopes: ['orders:write'] };
+
+  it('should allow a key whose scopes grant the permission', async () => {
+    const error = await run(permit('order.status.any'), { apiKey });
+    expect(error).toBeUndefined();
+  });
+
+  it('should reject a key whose scopes do not grant the permission', async () => {
+    const error = await run(permit('product.stock.any'), { apiKey });
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('should still authorize users by role', async () => {
+    const req = { user: { id: 'u1', role: 'admin' } };
+    expect(await run(permit('order.status.any'), req)).toBeUndefined();
+
+    req.user.role = 'customer';
+    const error = await run(permit('order.status.any'), req);
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('should refuse keys on routes that do not allow them', async () => {
+    const error = await run(protectWith(), { apiKey });
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('should let keys through routes that allow them', async () => {
+    const error = await run(protectWith({ allowApiKey: true }), { apiKey });
+    expect(error).toBeUndefined();
+  });
+});
+
+describe('API key product routes', () => {
+  const product = new Product({
+    name: 'Kettle',
+    description: 'Electric kettle',
+    price: 20,
+    stock: 5,
+    category: new mongoose.Types.ObjectId(),
+    seller: new mongoose.Types.ObjectId(),
+  });
+  product.save = async () => product;
+
+  let originals;
+  let scopes;
+
+  // Serves a key with the current scopes and the product without a database
+  beforeEach(() => {
+    originals = {
+      findOne: ApiKey.findOne,
+      find: Product.find,
+      findById: Product.findById,
+      categories: Category.find,
+      record: AuditLog.record,
+    };
+
+    ApiKey.findOne = async () =>
+      new ApiKey({ name: 'ERP', prefix: 'ek_abcdefgh', scopes, lastUsedAt: new Date() });
+    Product.findById = async () => product;
+    Product.find = () => {
+      const query = {
+        sort: () => query,
+        limit: () => query,
+        select: () => query,
+        then: resolve => resolve([product]),
+      };
+      return query;
+    };
+    Category.find = async () => [];
+    AuditLog.record = async () => {};
+  });
+
+  afterEach(() => {
+    ApiKey.findOne = originals.findOne;
+    Product.find = originals.find;
+    Product.findById = originals.findById;
+    Category.find = originals.categories;
+    AuditLog.record = originals.record;
+  });
+
+  it('should list products for a key with products:read', async () => {
+    scopes = ['products:read'];
+
+    const res = await request(app).get('/api/v1/admin/products').set('X-API-Key', 'ek_key');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data[0].name).toBe('Kettle');
+  });
+
+  it('should update products for a key with products:write', async () => {
+    scopes = ['products:write'];
+
+    const res = await request(app)
+      .put(`/api/v1/products/${product._id}`)
+      .set('X-API-Key', 'ek_key')
+      .send({ price: 25, seller: new mongoose.Types.ObjectId() });
+
+    expect(res.statusCode).toBe(200);
+    expect(product.price).toBe(25);
+    expect(res.body.data.seller).toBe(product.seller.toString());
+  });
+
+  it('should not update products with a read-only key', async () => {
+    scopes = ['products:read'];
+
+    const res = await request(app)
+      .put(`/api/v1/products/${product._id}`)
+      .set('X-API-Key', 'ek_key')
+      .send({ price: 30 });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('API key ek_abcdefgh is not authorized to access this route');
+  });
+});
@@ -0,0 +1,54 @@
+import { validateAttributes, attributeFilter } from '../services/attributeService.js';
+
+const definitions = [
+  { key: 'brand', label: 'Brand', type: 'text', required: true, filterable: true },
+  { key: 'screenSize', label: 'Screen size', type: 'number', unit: 'in', filterable: true },
+  { key: 'smart', label: 'Smart TV', type: 'boolean', filterable: true },
+  { key: 'panel', label: 'Panel', type: 'select', options: ['LED', 'OLED'], filterable: true },
+];
+
+describe('Product attributes', () => {
+  describe('validation', () => {
+    it('should convert values to their attribute types', () => {
+      expect(
+        validateAttributes(definitions, { brand: ' Acme ', screenSize: '55', smart: 'true', panel: 'OLED' })
+      ).toEqual({ brand: 'Acme', screenSize: 55, smart: true, panel: 'OLED' });
+    });
+
+    it('should accept attribute values stored in a map', () => {
+      expect(validateAttributes(definitions, new Map([['brand', 'Zenith']]))).toEqual({ brand: 'Zenith' });
+    });
+
+    it('should report missing, unknown and invalid attributes together', () => {
+      expect(() =>
+        validateAttributes(definitions, { screenSize: 'big', panel: 'CRT', isbn: '123' })
+      ).toThrow(
+        'Screen size must be a number, Panel must be one of LED, OLED, Unknown attribute isbn, Brand is required'
+      );
+    });
+
+    it('should drop empty values', () => {
+      expect(validateAttributes(definitions, { brand: 'Acme', panel: '' })).toEqual({ brand: 'Acme' });
+    });
+  });
+
+  describe('filters', () => {
+    it('should build conditions for values, lists and ranges', () => {
+      expect(
+        attributeFilter(definitions, {
+          brand: 'Acme,Zenith',
+          screenSize: { gte: '40', lt: '65', where: '1' },
+          smart: 'false',
+        })
+      ).toEqual({
+        'attributes.brand': { $in: ['Acme', 'Zenith'] },
+        'attributes.screenSize': { $gte: 40, $lt: 65 },
+        'attributes.smart': false,
+      });
+    });
+
+    it('should ignore unknown attributes and invalid values', () => {
+      expect(attributeFilter(definitions, { isbn: '123', panel: 'CRT' })).toEqual({});
+    });
+  });
+});
@@ -268,7 +268,7 @@ describe.skip('Auth API', () => {
       // but we can verify the endpoint returns success
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
-      expect(res.body.data).toBe('Email sent');
+      expect(res.body.data).toBe('If an account exists for that email, a reset link has been sent');
     });
     
     it('should not send reset email for non-existent user', async () => {
@@ -276,9 +276,10 @@ describe.skip('Auth API', () => {
         .post('/api/v1/auth/forgotpassword')
         .send({ email: 'nonexistent@example.com' });
         
-      // For security, we return success even if email doesn't exist
+      // For security, we return the same response even if email doesn't exist
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
+      expect(res.body.data).toBe('If an account exists for that email, a reset link has been sent');
     });
   });
 });
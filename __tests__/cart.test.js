@@ -16,8 +16,9 @@ const testProduct = {
   name: 'Test Product',
   description: 'This is a test product',
   price: 99.99,
-  category: 'Electronics',
+  category: new mongoose.Types.ObjectId(),
   stock: 10,
+  status: 'published',
   images: [{ url: 'test.jpg' }]
 };
 
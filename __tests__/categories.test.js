@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+
+const category = (name, parent = null, sortOrder = 0) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  parent,
+  sortOrder,
+});
+
+describe('Category tree', () => {
+  const home = category('Home');
+  const books = category('Books', null, -1);
+  const kitchen = category('Kitchen', home._id, 2);
+  const garden = category('Garden', home._id, 1);
+  const knives = category('Knives', kitchen._id);
+
+  it('should nest categories under their parents in sort order', () => {
+    const tree = Category.buildTree([knives, home, kitchen, books, garden]);
+
+    expect(tree.map(node => node.name)).toEqual(['Books', 'Home']);
+    expect(tree[1].children.map(node => node.name)).toEqual(['Garden', 'Kitchen']);
+    expect(tree[1].children[1].children.map(node => node.name)).toEqual(['Knives']);
+  });
+
+  it('should treat categories whose parent is not listed as roots', () => {
+    const tree = Category.buildTree([knives, books]);
+
+    expect(tree.map(node => node.name)).toEqual(['Books', 'Knives']);
+  });
+});
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+import { pageOptions, cursorPage } from '../utils/cursorPagination.js';
+
+const doc = (day) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date(Date.UTC(2024, 0, day)),
+});
+
+// Five documents, newest first as the default sort returns them
+const docs = [5, 4, 3, 2, 1].map(doc);
+
+// A fetch or count function that remembers how it was called
+const recorder = (result) => {
+  const fn = async (...args) => {
+    fn.calls.push(args);
+    return result;
+  };
+  fn.calls = [];
+  return fn;
+};
+
+describe('Cursor pagination', () => {
+  it('should fetch one extra document to find out whether there is a next page', async () => {
+    const fetch = recorder(docs.slice(0, 3));
+    const page = await cursorPage(pageOptions({ limit: '2' }), fetch);
+
+    expect(fetch.calls).toEqual([[{ filter: {}, sort: { createdAt: -1, _id: -1 }, limit: 3 }]]);
+    expect(page.data).toEqual(docs.slice(0, 2));
+    expect(page.pagination.next).toEqual(expect.any(String));
+    expect(page.pagination.prev).toBeNull();
+    expect(page.pagination).not.toHaveProperty('total');
+  });
+
+  it('should continue after the last document of the previous page', async () => {
+    const first = await cursorPage(pageOptions({ limit: '2' }), async () => docs.slice(0, 3));
+    const fetch = recorder(docs.slice(2, 4));
+
+    const page = await cursorPage(pageOptions({ limit: '2', cursor: first.pagination.next }), fetch);
+    const { createdAt, _id } = docs[1];
+
+    expect(fetch.calls[0][0].filter).toEqual({
+      $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: _id } },
+        { createdAt: null },
+      ],
+    });
+    expect(page.data).toEqual(docs.slice(2, 4));
+    expect(page.pagination.next).toBeNull();
+    expect(page.pagination.prev).toEqual(expect.any(String));
+  });
+
+  it('should go back by reading the preceding documents in reverse', async () => {
+    const first = await cursorPage(pageOptions({ limit: '2' }), async () => docs.slice(0, 3));
+    const second = await cursorPage(
+      pageOptions({ limit: '2', cursor: first.pagination.next }),
+      async () => docs.slice(2, 4)
+    );
+    const fetch = recorder([docs[1], docs[0]]);
+
+    const page = await cursorPage(pageOptions({ limit: '2', cursor: second.pagination.prev }), fetch);
+
+    expect(fetch.calls[0][0].sort).toEqual({ createdAt: 1, _id: 1 });
+    expect(page.data).toEqual(docs.slice(0, 2));
+    expect(page.pagination.prev).toBeNull();
+    expect(page.pagination.next).toEqual(expect.any(String));
+  });
+
+  it('should only count the results when asked to', async () => {
+    const count = recorder(5);
+
+    await cursorPage(pageOptions({}), async () => docs, count);
+    expect(count.calls).toHaveLength(0);
+
+    const page = await cursorPage(pageOptions({ count: 'true' }), async () => docs, count);
+    expect(page.pagination.total).toBe(5);
+  });
+
+  it('should cap the page size', () => {
+    expect(pageOptions({ limit: '5000' }).limit).toBe(100);
+    expect(pageOptions({}, { limit: 12 }).limit).toBe(12);
+  });
+
+  it('should reject bad cursors and sorts', async () => {
+    const first = await cursorPage(pageOptions({ limit: '2' }), async () => docs.slice(0, 3));
+    const forged = Buffer.from(JSON.stringify({
+      s: 'createdAt', o: -1, v: { $ne: null }, id: String(docs[0]._id), d: 'next',
+    })).toString('base64url');
+
+    expect(() => pageOptions({ cursor: 'not-a-cursor' })).toThrow('Invalid pagination cursor');
+    expect(() => pageOptions({ cursor: forged })).toThrow('Invalid pagination cursor');
+    expect(() => pageOptions({ cursor: first.pagination.next }, { sort: 'price' })).toThrow(
+      'does not match the sort order'
+    );
+    expect(() => pageOptions({}, { sort: '-price createdAt' })).toThrow('one field at a time');
+  });
+});
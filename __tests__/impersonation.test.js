@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+import { impersonateUser } from '../controllers/adminController.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Runs a handler and resolves with the response body, or the error passed on
+const call = (handler, req) =>
+  new Promise(resolve => {
+    const res = { status: () => res, json: resolve };
+    handler(req, res, resolve);
+  });
+
+const buildUser = (fields) =>
+  new User({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Sam',
+    email: 'sam@example.com',
+    role: 'customer',
+    ...fields,
+  });
+
+const impersonate = (staff, target, body = { reason: 'Checkout issue #42' }) =>
+  call(impersonateUser, {
+    user: staff,
+    params: { id: target._id.toString() },
+    body,
+    ip: '127.0.0.1',
+    get: () => 'jest',
+  });
+
+describe('Impersonation', () => {
+  let originals;
+  let sessions;
+  let audits;
+
+  beforeEach(() => {
+    originals = { findById: User.findById, create: Session.create, record: AuditLog.record };
+    sessions = [];
+    audits = [];
+
+    Session.create = async (fields) => {
+      const session = new Session(fields);
+      sessions.push(session);
+      return session;
+    };
+    AuditLog.record = async (req, entry) => audits.push(entry);
+  });
+
+  afterEach(() => {
+    User.findById = originals.findById;
+    Session.create = originals.create;
+    AuditLog.record = originals.record;
+  });
+
+  const withTarget = (target) => {
+    User.findById = async () => target;
+    return target;
+  };
+
+  it('should issue a short-lived session tied to the staff member', async () => {
+    const admin = buildUser({ role: 'admin' });
+    const customer = withTarget(buildUser());
+
+    const body = await impersonate(admin, customer);
+
+    expect(body.success).toBe(true);
+    expect(body.token).toEqual(expect.any(String));
+    expect(sessions[0].impersonator).toEqual(admin._id);
+    expect(sessions[0].impersonationReason).toBe('Checkout issue #42');
+    expect(sessions[0].expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 30 * 60 * 1000);
+  });
+
+  it('should audit who was impersonated and why', async () => {
+    const customer = withTarget(buildUser());
+
+    await impersonate(buildUser({ role: 'support' }), customer);
+
+    expect(audits).toEqual([
+      expect.objectContaining({
+        action: 'user.impersonate',
+        target: customer._id,
+        details: expect.objectContaining({ reason: 'Checkout issue #42' }),
+      }),
+    ]);
+  });
+
+  it('should require a reason', async () => {
+    const error = await impersonate(buildUser({ role: 'admin' }), withTarget(buildUser()), {});
+
+    expect(error.statusCode).toBe(400);
+    expect(sessions).toHaveLength(0);
+  });
+
+  it('should not let support staff impersonate sellers', async () => {
+    const error = await impersonate(
+      buildUser({ role: 'support' }),
+      withTarget(buildUser({ role: 'seller' }))
+    );
+
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toBe('Users with the seller role cannot be impersonated by support staff');
+    expect(sessions).toHaveLength(0);
+  });
+
+  it('should not let anyone impersonate other staff', async () => {
+    const error = await impersonate(
+      buildUser({ role: 'admin' }),
+      withTarget(buildUser({ role: 'admin' }))
+    );
+
+    expect(error.statusCode).toBe(403);
+    expect(audits).toHaveLength(0);
+  });
+
+  it('should not impersonate suspended users', async () => {
+    const error = await impersonate(
+      buildUser({ role: 'admin' }),
+      withTarget(buildUser({ suspendedAt: new Date() }))
+    );
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Suspended users cannot be impersonated');
+  });
+
+  it('should not start a second impersonation from an impersonated session', async () => {
+    const error = await call(impersonateUser, {
+      user: buildUser({ role: 'admin' }),
+      impersonator: buildUser({ role: 'admin' }),
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      body: { reason: 'Nested' },
+    });
+
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe('Suspension', () => {
+  it('should only count unexpired suspensions', () => {
+    expect(buildUser().isSuspended()).toBe(false);
+    expect(buildUser({ suspendedAt: new Date() }).isSuspended()).toBe(true);
+    expect(
+      buildUser({ suspendedAt: new Date(), suspendedUntil: new Date(Date.now() + 60000) }).isSuspended()
+    ).toBe(true);
+    expect(
+      buildUser({ suspendedAt: new Date(), suspendedUntil: new Date(Date.now() - 60000) }).isSuspended()
+    ).toBe(false);
+  });
+});
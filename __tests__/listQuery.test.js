@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import parseListQuery from '../utils/listQuery.js';
+
+const spec = {
+  filters: {
+    price: 'number',
+    isPaid: 'boolean',
+    createdAt: 'date',
+    status: { type: 'string', values: ['open', 'closed'] },
+    seller: { type: 'objectId', path: 'shipments.seller' },
+  },
+  sort: ['price', 'createdAt'],
+  select: ['name', 'price'],
+  ignore: ['q'],
+};
+
+describe('List query grammar', () => {
+  it('should build conditions from values and operators', () => {
+    const seller = new mongoose.Types.ObjectId().toString();
+    const { filter } = parseListQuery(
+      {
+        price: { gte: '10', lt: '20.5' },
+        isPaid: 'true',
+        createdAt: { gt: '2024-01-01' },
+        status: { in: 'open,closed' },
+        seller,
+        q: 'ignored',
+        page: '2',
+      },
+      spec
+    );
+
+    expect(filter).toEqual({
+      price: { $gte: 10, $lt: 20.5 },
+      isPaid: true,
+      createdAt: { $gt: new Date('2024-01-01') },
+      status: { $in: ['open', 'closed'] },
+      'shipments.seller': new mongoose.Types.ObjectId(seller),
+    });
+  });
+
+  it('should support exists and ne', () => {
+    expect(parseListQuery({ price: { exists: 'false' }, status: { ne: 'open' } }, spec).filter).toEqual({
+      price: { $exists: false },
+      status: { $ne: 'open' },
+    });
+  });
+
+  it('should turn sort and select into mongoose strings', () => {
+    expect(parseListQuery({ sort: '-price,createdAt', select: 'name,price' }, spec)).toEqual({
+      filter: {},
+      sort: '-price createdAt',
+      select: 'name price',
+    });
+  });
+
+  it('should reject unknown fields', () => {
+    expect(() => parseListQuery({ isActive: 'false' }, spec)).toThrow('Cannot filter by isActive');
+    expect(() => parseListQuery({ constructor: 'x' }, spec)).toThrow('Cannot filter by constructor');
+    expect(() => parseListQuery({ sort: '-seller' }, spec)).toThrow('Cannot sort by seller');
+    expect(() => parseListQuery({ select: 'password' }, spec)).toThrow('Cannot select password');
+  });
+
+  it('should reject unsupported operators and bad values', () => {
+    expect(() => parseListQuery({ isPaid: { gt: 'true' } }, spec)).toThrow('Unsupported operator gt for isPaid');
+    expect(() => parseListQuery({ price: 'cheap' }, spec)).toThrow('price must be a number');
+    expect(() => parseListQuery({ status: 'pending' }, spec)).toThrow('status must be one of open, closed');
+    expect(() => parseListQuery({ seller: 'me' }, spec)).toThrow('seller must be an id');
+    expect(() => parseListQuery({ price: { gt: { nested: '1' } } }, spec)).toThrow('Invalid value for price');
+  });
+
+  it('should report errors as bad requests', () => {
+    try {
+      parseListQuery({ foo: 'bar' }, spec);
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+    }
+    expect.assertions(1);
+  });
+});
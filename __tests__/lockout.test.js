@@ -0,0 +1,189 @@
+import AuthThrottle from '../models/AuthThrottle.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  assertPasswordResetAllowed,
+} from '../services/bruteForceService.js';
+import { unlockUser } from '../controllers/adminController.js';
+import { login } from '../controllers/authController.js';
+
+// Stands in for the throttle collection, applying the updates the
+// AuthThrottle statics make to entries kept in memory
+const useThrottleStore = () => {
+  const entries = new Map();
+  const audits = [];
+  const originals = {
+    updateOne: AuthThrottle.updateOne,
+    findOneAndUpdate: AuthThrottle.findOneAndUpdate,
+    find: AuthThrottle.find,
+    deleteOne: AuthThrottle.deleteOne,
+  };
+  const record = AuditLog.record;
+
+  AuthThrottle.updateOne = async ({ key, windowStart, $or }, { $set }) => {
+    const entry = entries.get(key);
+    const now = $or[1].lockedUntil.$lt;
+
+    if (entry && entry.windowStart < windowStart.$lt && !(entry.lockedUntil >= now)) {
+      Object.assign(entry, $set);
+    }
+  };
+  AuthThrottle.findOneAndUpdate = async ({ key }, { $inc, $setOnInsert, $set }) => {
+    const entry = entries.get(key) || { key, count: 0, ...$setOnInsert };
+    entry.count += $inc.count;
+    Object.assign(entry, $set);
+    entries.set(key, entry);
+
+    const doc = new AuthThrottle(entry);
+    doc.save = async () => {
+      entry.lockedUntil = doc.lockedUntil;
+      return doc;
+    };
+    return doc;
+  };
+  AuthThrottle.find = async ({ key, lockedUntil }) =>
+    key.$in
+      .map(k => entries.get(k))
+      .filter(entry => entry && entry.lockedUntil > lockedUntil.$gt)
+      .map(entry => new AuthThrottle(entry));
+  AuthThrottle.deleteOne = async ({ key }) => entries.delete(key);
+  AuditLog.record = async (req, entry) => audits.push(entry);
+
+  return {
+    entries,
+    audits,
+    restore: () => {
+      Object.assign(AuthThrottle, originals);
+      AuditLog.record = record;
+    },
+  };
+};
+
+// Runs a controller and resolves with the response body, or the error
+// passed to next
+const call = (handler, req) =>
+  new Promise(resolve => {
+    const res = { status: () => res, json: resolve };
+    handler(req, res, resolve);
+  });
+
+const req = { ip: '10.0.0.1' };
+const email = 'Sam@Example.com';
+
+const fail = async (times, address = email) => {
+  for (let i = 0; i < times; i += 1) {
+    await recordLoginFailure(req, address);
+  }
+};
+
+describe('Login lockout', () => {
+  const env = { ...process.env };
+  let store;
+
+  beforeEach(() => {
+    process.env.LOGIN_MAX_ATTEMPTS = '5';
+    process.env.LOGIN_MAX_ATTEMPTS_PER_IP = '8';
+    process.env.LOGIN_LOCK_MINUTES = '15';
+    store = useThrottleStore();
+  });
+
+  afterEach(() => {
+    store.restore();
+    process.env = { ...env };
+  });
+
+  it('should allow the free attempts without delay', async () => {
+    await fail(3);
+
+    await expect(assertLoginAllowed(req, email)).resolves.toBeUndefined();
+  });
+
+  it('should make the caller wait after the free attempts', async () => {
+    await fail(4);
+
+    const error = await assertLoginAllowed(req, email).catch(e => e);
+
+    expect(error.statusCode).toBe(429);
+    expect(error.retryAfter).toBe(1);
+  });
+
+  it('should lock the account out at the maximum and audit it once', async () => {
+    const user = new User({ name: 'Sam', email });
+
+    await fail(4);
+    await recordLoginFailure(req, email, user);
+
+    const error = await assertLoginAllowed(req, 'sam@example.com').catch(e => e);
+
+    expect(error.statusCode).toBe(429);
+    expect(error.retryAfter).toBeGreaterThan(14 * 60);
+    expect(store.audits).toEqual([
+      expect.objectContaining({
+        action: 'auth.lockout',
+        target: user._id,
+        details: expect.objectContaining({ scope: 'account', email: 'sam@example.com', failures: 5 }),
+      }),
+    ]);
+  });
+
+  it('should lock out an IP trying many accounts', async () => {
+    for (let i = 0; i < 8; i += 1) {
+      await recordLoginFailure(req, `user${i}@example.com`);
+    }
+
+    const error = await assertLoginAllowed(req, 'someone@example.com').catch(e => e);
+
+    expect(error.statusCode).toBe(429);
+    expect(store.audits.map(entry => entry.details.scope)).toEqual(['ip']);
+  });
+
+  it('should clear account failures after a successful login', async () => {
+    await fail(3);
+    await clearLoginFailures(email);
+
+    expect(store.entries.has('login:account:sam@example.com')).toBe(false);
+  });
+
+  it('should let an admin unlock a locked account', async () => {
+    const user = new User({ name: 'Sam', email: 'sam@example.com' });
+    const findById = User.findById;
+    User.findById = async () => user;
+
+    await fail(5);
+    const body = await call(unlockUser, { params: { id: String(user._id) }, user: {}, ip: '10.0.0.2' });
+    User.findById = findById;
+
+    expect(body).toEqual({ success: true, data: {} });
+    await expect(assertLoginAllowed({ ip: '10.0.0.3' }, email)).resolves.toBeUndefined();
+    expect(store.audits.map(entry => entry.action)).toEqual(['auth.lockout', 'auth.unlock']);
+  });
+
+  it('should reject logins with an email that is not a string', async () => {
+    const findOne = User.findOne;
+    let queried = false;
+    User.findOne = () => {
+      queried = true;
+    };
+
+    const error = await call(login, { ...req, body: { email: { $gt: '' }, password: 'secret123' } });
+    User.findOne = findOne;
+
+    expect(error.statusCode).toBe(400);
+    expect(queried).toBe(false);
+    expect(store.entries.size).toBe(0);
+  });
+
+  it('should throttle password reset requests per email', async () => {
+    await assertPasswordResetAllowed(req, email);
+    await assertPasswordResetAllowed(req, email);
+    await assertPasswordResetAllowed(req, email);
+
+    const error = await assertPasswordResetAllowed(req, email).catch(e => e);
+
+    expect(error.statusCode).toBe(429);
+    expect(error.message).toMatch(/Too many password reset requests/);
+  });
+});
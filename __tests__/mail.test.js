@@ -0,0 +1,78 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import {
+  sendEmail,
+  notify,
+  readOutbox,
+  clearOutbox,
+  resetTransport,
+} from '../services/mailService.js';
+
+describe('Mail service', () => {
+  const env = { ...process.env };
+
+  beforeEach(async () => {
+    process.env.MAIL_TRANSPORT = 'outbox';
+    process.env.MAIL_OUTBOX_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    process.env.MAIL_FROM = 'Shop <shop@example.com>';
+    resetTransport();
+  });
+
+  afterEach(async () => {
+    await clearOutbox();
+    process.env = { ...env };
+    resetTransport();
+  });
+
+  it('should render a template and store it in the outbox', async () => {
+    const info = await sendEmail({
+      to: 'sam@example.com',
+      template: 'welcome',
+      data: { name: 'Sam <script>' },
+    });
+
+    const [message] = await readOutbox();
+
+    expect(info.messageId).toBeDefined();
+    expect(message.template).toBe('welcome');
+    expect(message.to).toEqual([{ address: 'sam@example.com', name: '' }]);
+    expect(message.from).toEqual({ address: 'shop@example.com', name: 'Shop' });
+    expect(message.subject).toMatch(/^Welcome to/);
+    expect(message.text).toContain('Hi Sam <script>');
+    expect(message.html).toContain('Hi Sam &lt;script&gt;');
+  });
+
+  it('should keep messages in the order they were sent', async () => {
+    await sendEmail({ to: 'a@example.com', template: 'welcome', data: { name: 'A' } });
+    await sendEmail({ to: 'b@example.com', template: 'welcome', data: { name: 'B' } });
+
+    const messages = await readOutbox();
+
+    expect(messages.map(message => message.to[0].address)).toEqual([
+      'a@example.com',
+      'b@example.com',
+    ]);
+  });
+
+  it('should empty the outbox', async () => {
+    await sendEmail({ to: 'a@example.com', template: 'welcome', data: { name: 'A' } });
+    await clearOutbox();
+
+    expect(await readOutbox()).toEqual([]);
+  });
+
+  it('should reject unknown templates', async () => {
+    await expect(sendEmail({ to: 'a@example.com', template: 'nope' })).rejects.toThrow(
+      'Unknown email template "nope"'
+    );
+  });
+
+  it('should report failed notifications instead of throwing', async () => {
+    expect(await notify({ to: 'a@example.com', template: 'nope' })).toBe(false);
+    expect(await notify({ to: 'a@example.com', template: 'welcome', data: { name: 'A' } })).toBe(
+      true
+    );
+    expect(await readOutbox()).toHaveLength(1);
+  });
+});
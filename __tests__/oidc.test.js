@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import {
+  createAuthorizationRequest,
+  completeAuthorization,
+} from '../services/oidcService.js';
+
+// Minimal OpenID Connect provider serving discovery, JWKS and a token endpoint
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', use: 'sig', alg: 'RS256' };
+
+let server;
+let issuer;
+let idTokenClaims;
+let lastTokenRequest;
+
+const startMockProvider = () =>
+  new Promise((resolve) => {
+    server = http.createServer((req, res) => {
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (req.url === '/.well-known/openid-configuration') {
+        return send(200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+        });
+      }
+
+      if (req.url === '/jwks') {
+        return send(200, { keys: [jwk] });
+      }
+
+      if (req.url === '/token' && req.method === 'POST') {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+          lastTokenRequest = Object.fromEntries(new URLSearchParams(body));
+
+          if (lastTokenRequest.code !== 'valid-code') {
+            return send(400, { error: 'invalid_grant' });
+          }
+
+          const idToken = jwt.sign(idTokenClaims, privateKey, {
+            algorithm: 'RS256',
+            keyid: 'test-key',
+            issuer,
+            audience: 'test-client',
+            subject: 'user-123',
+            expiresIn: '5m',
+          });
+
+          return send(200, { access_token: 'access', id_token: idToken, token_type: 'Bearer' });
+        });
+        return undefined;
+      }
+
+      return send(404, { error: 'not_found' });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      issuer = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+
+const redirectUri = 'http://localhost:5000/api/v1/auth/oidc/mock/callback';
+
+beforeAll(async () => {
+  await startMockProvider();
+  process.env.OIDC_PROVIDERS = JSON.stringify({
+    mock: { issuer, clientId: 'test-client', clientSecret: 'test-secret' },
+  });
+});
+
+afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+describe('OIDC service', () => {
+  let transaction;
+  let authorizationUrl;
+
+  beforeEach(async () => {
+    const request = await createAuthorizationRequest('mock', redirectUri);
+    transaction = request.transaction;
+    authorizationUrl = new URL(request.url);
+
+    idTokenClaims = {
+      email: 'Test@Example.com',
+      email_verified: true,
+      name: 'Test User',
+      nonce: transaction.nonce,
+    };
+  });
+
+  describe('createAuthorizationRequest', () => {
+    it('should build an authorization URL with PKCE', async () => {
+      const { url } = await createAuthorizationRequest('mock', redirectUri);
+      const params = new URL(url).searchParams;
+
+      expect(url.startsWith(`${issuer}/authorize?`)).toBe(true);
+      expect(params.get('response_type')).toBe('code');
+      expect(params.get('client_id')).toBe('test-client');
+      expect(params.get('redirect_uri')).toBe(redirectUri);
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('state')).toBeTruthy();
+      expect(params.get('nonce')).toBeTruthy();
+    });
+
+    it('should reject unknown providers', async () => {
+      await expect(createAuthorizationRequest('unknown', redirectUri)).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe('completeAuthorization', () => {
+    it('should exchange the code and return the verified identity', async () => {
+      const identity = await completeAuthorization(
+        'mock',
+        { code: 'valid-code', state: transaction.state },
+        transaction
+      );
+
+      expect(identity).toEqual({
+        subject: 'user-123',
+        email: 'test@example.com',
+        emailVerified: true,
+        name: 'Test User',
+      });
+
+      // The verifier sent to the token endpoint must match the challenge
+      const challenge = crypto
+        .createHash('sha256')
+        .update(lastTokenRequest.code_verifier)
+        .digest('base64url');
+      expect(challenge).toBe(authorizationUrl.searchParams.get('code_challenge'));
+      expect(lastTokenRequest.client_secret).toBe('test-secret');
+    });
+
+    it('should reject a mismatched state', async () => {
+      await expect(
+        completeAuthorization('mock', { code: 'valid-code', state: 'forged' }, transaction)
+      ).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should reject an ID token with the wrong nonce', async () => {
+      idTokenClaims.nonce = 'replayed';
+
+      await expect(
+        completeAuthorization('mock', { code: 'valid-code', state: transaction.state }, transaction)
+      ).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('should not trust unverified email addresses', async () => {
+      idTokenClaims.email_verified = false;
+
+      const identity = await completeAuthorization(
+        'mock',
+        { code: 'valid-code', state: transaction.state },
+        transaction
+      );
+
+      expect(identity.emailVerified).toBe(false);
+    });
+
+    it('should surface token endpoint errors', async () => {
+      await expect(
+        completeAuthorization('mock', { code: 'bad-code', state: transaction.state }, transaction)
+      ).rejects.toMatchObject({ statusCode: 502 });
+    });
+  });
+});
@@ -24,8 +24,9 @@ const testProduct = {
   name: 'Test Product',
   description: 'This is a test product',
   price: 99.99,
-  category: 'Electronics',
+  category: new mongoose.Types.ObjectId(),
   stock: 10,
+  status: 'published',
   images: [{ url: 'test.jpg' }]
 };
 
@@ -156,13 +157,29 @@ describe.skip('Order API', () => {
       
       const res = await request(app)
         .put(`/api/v1/orders/${orderId}/pay`)
-        .set('Authorization', `Bearer ${userAuthToken}`)
-        .send({ paymentResult });
+        .set('Authorization', `Bearer ${adminAuthToken}`)
+        .send(paymentResult);
         
       expect(res.statusCode).toBe(200);
       expect(res.body.success).toBe(true);
-      expect(res.body.data.paymentInfo.status).toBe('completed');
-      expect(res.body.data.paymentInfo.id).toBe(paymentResult.id);
+      expect(res.body.data.isPaid).toBe(true);
+      expect(res.body.data.paymentResult.id).toBe(paymentResult.id);
+    });
+
+    it('should not let customers mark their own order paid', async () => {
+      const res = await request(app)
+        .put(`/api/v1/orders/${orderId}/pay`)
+        .set('Authorization', `Bearer ${userAuthToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should not pay an order twice', async () => {
+      const res = await request(app)
+        .put(`/api/v1/orders/${orderId}/pay`)
+        .set('Authorization', `Bearer ${adminAuthToken}`);
+
+      expect(res.statusCode).toBe(400);
     });
   });
 
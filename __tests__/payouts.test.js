@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import CommissionRule from '../models/CommissionRule.js';
+import toCsv from '../utils/csv.js';
+
+describe('Seller payouts', () => {
+  describe('commission rates', () => {
+    const seller = new mongoose.Types.ObjectId();
+    const books = new mongoose.Types.ObjectId();
+    const fiction = new mongoose.Types.ObjectId();
+    const toys = new mongoose.Types.ObjectId();
+    const rules = [
+      { scope: 'global', rate: 12 },
+      { scope: 'category', category: books, rate: 8 },
+      { scope: 'category', category: fiction, rate: 6 },
+      { scope: 'seller', seller, rate: 5 },
+    ];
+
+    it('should prefer a seller rule, then a category rule, then the global rule', () => {
+      expect(CommissionRule.rateFor(rules, { seller, categories: [books] })).toBe(5);
+      expect(CommissionRule.rateFor(rules, { seller: new mongoose.Types.ObjectId(), categories: [books] })).toBe(8);
+      expect(CommissionRule.rateFor(rules, { categories: [toys] })).toBe(12);
+    });
+
+    it('should apply the rule of the nearest category in the tree', () => {
+      expect(CommissionRule.rateFor(rules, { categories: [fiction, books] })).toBe(6);
+      expect(CommissionRule.rateFor(rules, { categories: [new mongoose.Types.ObjectId(), books] })).toBe(8);
+    });
+
+    it('should fall back to the configured platform rate', () => {
+      process.env.PLATFORM_COMMISSION_RATE = '15';
+      expect(CommissionRule.rateFor([], { categories: [toys] })).toBe(15);
+      delete process.env.PLATFORM_COMMISSION_RATE;
+      expect(CommissionRule.rateFor([], { categories: [toys] })).toBe(10);
+    });
+  });
+
+  describe('CSV export', () => {
+    const columns = [
+      { header: 'Item', value: 'name' },
+      { header: 'Net', value: row => row.net },
+    ];
+
+    it('should write a header line and one line per row', () => {
+      expect(toCsv([{ name: 'Mug', net: 9.5 }], columns)).toBe('Item,Net\r\nMug,9.5\r\n');
+    });
+
+    it('should quote fields with commas, quotes and line breaks', () => {
+      const csv = toCsv([{ name: 'Mug, "large"\nblue', net: -1 }], columns);
+      expect(csv).toBe('Item,Net\r\n"Mug, ""large""\nblue",-1\r\n');
+    });
+
+    it('should neutralise values a spreadsheet would run as formulas', () => {
+      const csv = toCsv([{ name: '=HYPERLINK("x")', net: null }], columns);
+      expect(csv).toBe('Item,Net\r\n"\'=HYPERLINK(""x"")",\r\n');
+    });
+  });
+});
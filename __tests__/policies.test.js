@@ -0,0 +1,156 @@
+import {
+  ROLE_PERMISSIONS,
+  SCOPE_PERMISSIONS,
+  permissionsFor,
+  isOwner,
+  can,
+  canImpersonate,
+} from '../policies/permissions.js';
+import { ROLES } from '../models/User.js';
+import { SCOPES } from '../models/ApiKey.js';
+
+const customer = { _id: 'customer1', role: 'customer' };
+const seller = { _id: 'seller1', role: 'seller' };
+const support = { _id: 'support1', role: 'support' };
+const admin = { _id: 'admin1', role: 'admin' };
+
+describe('Permission policies', () => {
+  it('should define permissions for every role and scope', () => {
+    ROLES.forEach(role => expect(ROLE_PERMISSIONS[role]).toBeDefined());
+    SCOPES.forEach(scope => expect(SCOPE_PERMISSIONS[scope]).toBeDefined());
+  });
+
+  describe('permissionsFor', () => {
+    it('should use the role of a user', () => {
+      expect(permissionsFor({ user: customer })).toEqual(ROLE_PERMISSIONS.customer);
+    });
+
+    it('should use the scopes of an API key', () => {
+      const apiKey = { scopes: ['orders:read', 'inventory:write'] };
+      expect(permissionsFor({ apiKey })).toEqual([
+        'order.read.any',
+        'shipment.read.any',
+        'product.stock.any',
+      ]);
+    });
+
+    it('should grant nothing without a principal', () => {
+      expect(permissionsFor({})).toEqual([]);
+      expect(permissionsFor({ user: { role: 'unknown' } })).toEqual([]);
+    });
+  });
+
+  describe('isOwner', () => {
+    it('should compare ids and populated references', () => {
+      expect(isOwner(customer, 'order', { user: 'customer1' })).toBe(true);
+      expect(isOwner(customer, 'order', { user: { _id: 'customer1' } })).toBe(true);
+      expect(isOwner(customer, 'order', { user: 'someone-else' })).toBe(false);
+    });
+
+    it('should not treat resources without an owner as owned', () => {
+      expect(isOwner(customer, 'order', { user: null })).toBe(false);
+      expect(isOwner(customer, 'unknown', { user: 'customer1' })).toBe(false);
+    });
+  });
+
+  describe('can', () => {
+    const order = { user: 'customer1' };
+
+    it('should allow users to act on their own resources', () => {
+      expect(can({ user: customer }, 'order.read', order)).toBe(true);
+    });
+
+    it('should only let staff mark orders paid', () => {
+      expect(can({ user: customer }, 'order.pay', order)).toBe(false);
+      expect(can({ user: admin }, 'order.pay', order)).toBe(true);
+    });
+
+    it('should deny users acting on resources of others', () => {
+      expect(can({ user: seller }, 'order.read', order)).toBe(false);
+      expect(can({ user: customer }, 'order.read', { user: 'someone-else' })).toBe(false);
+    });
+
+    it('should let .any permissions cover every resource', () => {
+      expect(can({ user: admin }, 'order.read', order)).toBe(true);
+      expect(can({ user: admin }, 'order.read.own')).toBe(true);
+    });
+
+    it('should require .any permissions when no resource is given', () => {
+      expect(can({ user: customer }, 'order.read')).toBe(false);
+      expect(can({ user: customer }, 'order.read.any')).toBe(false);
+      expect(can({ user: customer }, 'order.read.own')).toBe(true);
+    });
+
+    it('should let sellers manage only their own products', () => {
+      const own = { seller: { _id: 'seller1' } };
+      const other = { seller: 'seller2' };
+
+      expect(can({ user: seller }, 'product.create')).toBe(true);
+      expect(can({ user: seller }, 'product.read.own')).toBe(true);
+      ['update', 'delete', 'stock'].forEach(action => {
+        expect(can({ user: seller }, `product.${action}`, own)).toBe(true);
+        expect(can({ user: seller }, `product.${action}`, other)).toBe(false);
+        expect(can({ user: admin }, `product.${action}`, other)).toBe(true);
+      });
+      expect(can({ user: customer }, 'product.create')).toBe(false);
+      expect(can({ user: customer }, 'product.update', { seller: 'customer1' })).toBe(false);
+    });
+
+    it('should let anyone apply to sell but only admins review sellers', () => {
+      const profile = { user: 'customer1' };
+
+      expect(can({ user: customer }, 'seller.apply')).toBe(true);
+      expect(can({ user: customer }, 'seller.update', profile)).toBe(true);
+      expect(can({ user: seller }, 'seller.update', profile)).toBe(false);
+      expect(can({ user: support }, 'seller.review.any')).toBe(false);
+      expect(can({ user: admin }, 'seller.review.any')).toBe(true);
+    });
+
+    it('should let sellers see and update only their own shipments', () => {
+      const own = { seller: 'seller1' };
+      const other = { seller: 'seller2' };
+
+      expect(can({ user: seller }, 'shipment.read.own')).toBe(true);
+      expect(can({ user: seller }, 'shipment.status', own)).toBe(true);
+      expect(can({ user: seller }, 'shipment.status', other)).toBe(false);
+      expect(can({ user: customer }, 'shipment.status', { seller: 'customer1' })).toBe(false);
+      expect(can({ user: admin }, 'shipment.status', other)).toBe(true);
+      expect(can({ apiKey: { scopes: ['orders:write'] } }, 'shipment.status', other)).toBe(true);
+    });
+
+    it('should keep staff tools from customers and support', () => {
+      expect(can({ user: support }, 'user.impersonate.any')).toBe(true);
+      expect(can({ user: support }, 'user.role.any')).toBe(false);
+      expect(can({ user: customer }, 'user.read.any')).toBe(false);
+    });
+
+    it('should limit API keys to their scopes', () => {
+      const apiKey = { scopes: ['orders:write'] };
+      expect(can({ apiKey }, 'order.status.any')).toBe(true);
+      expect(can({ apiKey }, 'order.read', order)).toBe(false);
+      expect(can({ apiKey }, 'product.stock', { seller: 'seller1' })).toBe(false);
+    });
+  });
+
+  describe('canImpersonate', () => {
+    it('should let support impersonate customers only', () => {
+      expect(canImpersonate(support, customer)).toBe(true);
+      expect(canImpersonate(support, seller)).toBe(false);
+    });
+
+    it('should let admins impersonate customers and sellers', () => {
+      expect(canImpersonate(admin, customer)).toBe(true);
+      expect(canImpersonate(admin, seller)).toBe(true);
+    });
+
+    it('should never allow impersonating staff', () => {
+      expect(canImpersonate(admin, support)).toBe(false);
+      expect(canImpersonate(admin, { _id: 'admin2', role: 'admin' })).toBe(false);
+    });
+
+    it('should refuse users without the impersonation permission', () => {
+      expect(canImpersonate(seller, customer)).toBe(false);
+      expect(canImpersonate(customer, customer)).toBe(false);
+    });
+  });
+});
@@ -21,8 +21,9 @@ const testProduct = {
   name: 'Test Product',
   description: 'This is a test product',
   price: 99.99,
-  category: 'Electronics',
-  stock: 10
+  category: 'electronics',
+  stock: 10,
+  status: 'published'
 };
 
 let authToken;
@@ -105,10 +106,10 @@ describe.skip('Product API', () => {
     
     it('should filter products by category', async () => {
       const res = await request(app)
-        .get('/api/v1/products?category=Electronics');
+        .get('/api/v1/products?category=electronics');
         
       expect(res.statusCode).toBe(200);
-      expect(res.body.data.every(p => p.category === 'Electronics')).toBe(true);
+      expect(res.body.data.some(p => p._id === productId)).toBe(true);
     });
   });
 
@@ -163,9 +164,27 @@ describe.skip('Product API', () => {
       expect(res.body.success).toBe(true);
       expect(res.body.data).toEqual({});
       
-      // Verify the product is deleted
+      // Verify the product is in the trash and hidden from the catalog
       const product = await Product.findById(productId);
-      expect(product).toBeNull();
+      expect(product.deletedAt).not.toBeNull();
+
+      const hidden = await request(app).get(`/api/v1/products/${productId}`);
+      expect(hidden.statusCode).toBe(404);
+    });
+  });
+
+  // Test restoring a deleted product
+  describe('PUT /api/v1/products/:id/restore', () => {
+    it('should restore a deleted product', async () => {
+      const res = await request(app)
+        .put(`/api/v1/products/${productId}/restore`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.deletedAt).toBeNull();
+
+      const visible = await request(app).get(`/api/v1/products/${productId}`);
+      expect(visible.statusCode).toBe(200);
     });
   });
 });
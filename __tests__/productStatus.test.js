@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+const buildProduct = (fields = {}) =>
+  new Product({
+    name: 'Lamp',
+    description: 'Desk lamp',
+    price: 30,
+    category: new mongoose.Types.ObjectId(),
+    seller: new mongoose.Types.ObjectId(),
+    ...fields,
+  });
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+describe('Product status', () => {
+  it('should start as a draft that customers cannot see', () => {
+    const product = buildProduct();
+
+    expect(product.status).toBe('draft');
+    expect(product.isVisible()).toBe(false);
+  });
+
+  it('should schedule a product for a future date', async () => {
+    const product = buildProduct();
+    const publishAt = inOneHour();
+
+    product.transitionTo('scheduled', publishAt.toISOString());
+
+    expect(product.status).toBe('scheduled');
+    expect(product.publishAt).toEqual(publishAt);
+    await expect(product.validate()).resolves.toBeUndefined();
+  });
+
+  it('should refuse to schedule without a future publishAt', () => {
+    expect(() => buildProduct().transitionTo('scheduled')).toThrow('Please provide a publishAt');
+    expect(() => buildProduct().transitionTo('scheduled', '2000-01-01')).toThrow(
+      'publishAt must be a date in the future'
+    );
+    expect(() => buildProduct().transitionTo('scheduled', 'soon')).toThrow(
+      'publishAt must be a date in the future'
+    );
+  });
+
+  it('should reschedule a scheduled product', () => {
+    const product = buildProduct();
+    product.transitionTo('scheduled', inOneHour());
+
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    product.transitionTo(undefined, later);
+
+    expect(product.status).toBe('scheduled');
+    expect(product.publishAt).toEqual(later);
+  });
+
+  it('should publish and record when', () => {
+    const product = buildProduct();
+    product.transitionTo('scheduled', inOneHour());
+    product.transitionTo('published');
+
+    expect(product.status).toBe('published');
+    expect(product.publishAt).toBeUndefined();
+    expect(product.publishedAt).toBeInstanceOf(Date);
+    expect(product.isVisible()).toBe(true);
+  });
+
+  it('should only allow the transitions of the lifecycle', () => {
+    const product = buildProduct();
+    product.transitionTo('published');
+
+    expect(() => product.transitionTo('scheduled', inOneHour())).toThrow(
+      'Cannot move a published product to scheduled'
+    );
+    expect(() => product.transitionTo('live')).toThrow('Status must be one of');
+
+    product.transitionTo('archived');
+    expect(product.isVisible()).toBe(false);
+  });
+
+  it('should only accept publishAt for scheduled products', () => {
+    expect(() => buildProduct().transitionTo('published', inOneHour())).toThrow(
+      'publishAt can only be set on scheduled products'
+    );
+  });
+
+  it('should hide deleted products even when published', () => {
+    const product = buildProduct({ status: 'published', deletedAt: new Date() });
+
+    expect(product.isVisible()).toBe(false);
+  });
+});
+
+describe('Product visibility', () => {
+  it('should hide published products of a suspended seller', () => {
+    const product = buildProduct({ status: 'published', sellerSuspended: true });
+
+    expect(product.isVisible()).toBe(false);
+    expect(Product.visibleFilter()).toEqual({
+      status: 'published',
+      deletedAt: null,
+      sellerSuspended: { $ne: true },
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+const buildProduct = (reviews) =>
+  new Product({
+    name: 'Kettle',
+    description: 'Electric kettle',
+    price: 40,
+    category: new mongoose.Types.ObjectId(),
+    seller: new mongoose.Types.ObjectId(),
+    reviews,
+  });
+
+describe('Product reviews', () => {
+  it('should find a review left by the user', () => {
+    const product = buildProduct([
+      { user: userId, name: 'Sam', rating: 4, comment: 'Boils fast' },
+    ]);
+
+    expect(product.isReviewedBy(userId)).toBe(true);
+    expect(product.isReviewedBy(String(userId))).toBe(true);
+  });
+
+  it('should let a user review a product with an anonymized review', () => {
+    const product = buildProduct([
+      { user: null, name: 'Deleted user', rating: 2, comment: 'Too loud' },
+    ]);
+
+    expect(product.isReviewedBy(userId)).toBe(false);
+  });
+
+  it('should not mistake other reviews for the user\'s own', () => {
+    const product = buildProduct([
+      { user: null, name: 'Deleted user', rating: 2, comment: 'Too loud' },
+      { user: new mongoose.Types.ObjectId(), name: 'Alex', rating: 5, comment: 'Great' },
+    ]);
+
+    expect(product.isReviewedBy(userId)).toBe(false);
+  });
+});
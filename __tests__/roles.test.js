@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../app.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import { updateUserRole } from '../controllers/adminController.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Runs a handler and resolves with the response body, or the error passed on
+const call = (handler, req) =>
+  new Promise(resolve => {
+    const res = { status: () => res, json: resolve };
+    handler(req, res, resolve);
+  });
+
+const buildUser = (fields) =>
+  new User({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Sam',
+    email: 'sam@example.com',
+    ...fields,
+  });
+
+describe('User roles', () => {
+  it('should make new users customers', () => {
+    expect(buildUser().role).toBe('customer');
+  });
+
+  it('should reject unknown roles', () => {
+    const error = buildUser({ role: 'owner' }).validateSync();
+
+    expect(error.errors.role).toBeDefined();
+  });
+
+  it('should not let users choose their role when registering', async () => {
+    const create = User.create;
+    let fields;
+
+    // Stop the request once the user would be created
+    User.create = async (values) => {
+      fields = values;
+      throw new ErrorResponse('Stopped', 418);
+    };
+
+    try {
+      await request(app)
+        .post('/api/v1/auth/register')
+        .send({ name: 'Sam', email: 'sam@example.com', password: 'secret123', role: 'admin' });
+    } finally {
+      User.create = create;
+    }
+
+    expect(fields).toEqual({ name: 'Sam', email: 'sam@example.com', password: 'secret123' });
+  });
+
+  it('should keep customers out of the admin routes', async () => {
+    const customer = buildUser();
+    const session = new Session({
+      user: customer._id,
+      refreshTokenHash: 'hash',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+    const originals = { session: Session.findById, user: User.findById };
+
+    Session.findById = async () => session;
+    User.findById = async () => customer;
+
+    try {
+      const res = await request(app)
+        .put(`/api/v1/admin/users/${buildUser()._id}/role`)
+        .set('Authorization', `Bearer ${customer.getSignedJwtToken(session._id)}`)
+        .send({ role: 'admin' });
+
+      expect(res.statusCode).toBe(403);
+    } finally {
+      Session.findById = originals.session;
+      User.findById = originals.user;
+    }
+  });
+});
+
+describe('Role management', () => {
+  const admin = buildUser({ role: 'admin' });
+  let originals;
+  let audits;
+
+  const changeRole = (target, body) =>
+    call(updateUserRole, {
+      user: admin,
+      params: { id: target._id.toString() },
+      body,
+    });
+
+  const withTarget = (target) => {
+    target.save = async () => target;
+    User.findById = async () => target;
+    return target;
+  };
+
+  beforeEach(() => {
+    originals = { findById: User.findById, record: AuditLog.record };
+    audits = [];
+    AuditLog.record = async (req, entry) => audits.push(entry);
+  });
+
+  afterEach(() => {
+    User.findById = originals.findById;
+    AuditLog.record = originals.record;
+  });
+
+  it('should change the role and audit it', async () => {
+    const user = withTarget(buildUser());
+
+    const body = await changeRole(user, { role: 'seller', reason: 'Approved store' });
+
+    expect(body.data.role).toBe('seller');
+    expect(audits).toEqual([
+      {
+        action: 'user.role.update',
+        target: user._id,
+        details: { from: 'customer', to: 'seller', reason: 'Approved store' },
+      },
+    ]);
+  });
+
+  it('should not audit a role that did not change', async () => {
+    await changeRole(withTarget(buildUser({ role: 'seller' })), { role: 'seller' });
+
+    expect(audits).toHaveLength(0);
+  });
+
+  it('should reject unknown roles', async () => {
+    const error = await changeRole(withTarget(buildUser()), { role: 'owner' });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Role must be one of: customer, seller, support, admin');
+  });
+
+  it('should not let admins change their own role', async () => {
+    const error = await changeRole(admin, { role: 'customer' });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('You cannot change your own role');
+  });
+
+  it('should return 404 for unknown users', async () => {
+    User.findById = async () => null;
+
+    const error = await changeRole(buildUser(), { role: 'seller' });
+
+    expect(error.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,118 @@
+import request from 'supertest';
+import app from '../app.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { tokenize, editDistance, correctTerms, highlight } from '../services/searchService.js';
+
+describe('Product search', () => {
+  it('should split queries into lowercase terms without accents', () => {
+    expect(tokenize('Crème brûlée  Torch, 2-PACK!')).toEqual(['creme', 'brulee', 'torch', 'pack']);
+  });
+
+  it('should count the edits between two words', () => {
+    expect(editDistance('headphnes', 'headphones')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('same', 'same')).toBe(0);
+  });
+
+  describe('typo correction', () => {
+    const words = new Map([
+      ['headphones', 4],
+      ['laptop', 7],
+      ['lantern', 1],
+      ['tv', 3],
+    ]);
+
+    it('should replace unknown terms with the closest known term', () => {
+      expect(correctTerms(['wireless', 'headphnoes'], words)).toEqual(['wireless', 'headphones']);
+      expect(correctTerms(['laptp'], words)).toEqual(['laptop']);
+    });
+
+    it('should leave short and unrecognisable terms alone', () => {
+      expect(correctTerms(['tc', 'zzzzzz'], words)).toEqual(['tc', 'zzzzzz']);
+    });
+  });
+
+  describe('highlights', () => {
+    it('should mark words starting with a search term', () => {
+      expect(highlight('Noise cancelling Headphones', ['headphone', 'noise'])).toBe(
+        '<em>Noise</em> cancelling <em>Headphones</em>'
+      );
+    });
+
+    it('should escape HTML in the text', () => {
+      expect(highlight('<b>Lamp</b> & shade', ['lamp'])).toBe('&#60;b&#62;<em>Lamp</em>&#60;/b&#62; &#38; shade');
+    });
+
+    it('should cut long text down to a snippet around the first match', () => {
+      const text = `${'lorem ipsum '.repeat(20)}solar lantern ${'dolor sit '.repeat(30)}`;
+      const snippet = highlight(text, ['lantern'], { snippet: true });
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('solar <em>lantern</em>');
+      expect(snippet.length).toBeLessThan(text.length);
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(highlight('Desk lamp', ['chair'])).toBeNull();
+    });
+  });
+});
+
+describe('Search paging', () => {
+  let originals;
+  let paging;
+
+  // Answers the catalog queries without a database and records how the
+  // results are paged
+  beforeEach(() => {
+    originals = {
+      find: Product.find,
+      countDocuments: Product.countDocuments,
+      categories: Category.find,
+    };
+    paging = {};
+
+    Product.find = () => {
+      const query = {
+        lean: async () => [{ name: 'Electric kettle' }],
+        select: () => query,
+        sort: () => query,
+        skip: (skip) => {
+          paging.skip = skip;
+          return query;
+        },
+        limit: (limit) => {
+          paging.limit = limit;
+          return query;
+        },
+        then: resolve => resolve([]),
+      };
+      return query;
+    };
+    Product.countDocuments = async () => 0;
+    Category.find = async () => [];
+  });
+
+  afterEach(() => {
+    Product.find = originals.find;
+    Product.countDocuments = originals.countDocuments;
+    Category.find = originals.categories;
+  });
+
+  it('should skip the results of earlier pages', async () => {
+    const res = await request(app).get('/api/v1/products/search?q=kettle&page=3&limit=10');
+
+    expect(res.statusCode).toBe(200);
+    expect(paging).toEqual({ skip: 20, limit: 10 });
+  });
+
+  it('should treat pages below one as the first page', async () => {
+    const res = await request(app).get('/api/v1/products/search?q=kettle&page=-1&limit=-5');
+
+    expect(res.statusCode).toBe(200);
+    expect(paging).toEqual({ skip: 0, limit: 1 });
+    expect(res.body.pagination).not.toHaveProperty('prev');
+  });
+});
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { hashToken, rotateRefreshToken } from '../services/tokenService.js';
+
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+// Stands in for the session collection: one stored session whose current
+// and rotated out hashes are checked like the real queries would
+const useStore = (session) => {
+  const originals = {
+    findOneAndUpdate: Session.findOneAndUpdate,
+    findById: Session.findById,
+    userFindById: User.findById,
+  };
+
+  session.save = async () => session;
+
+  Session.findOneAndUpdate = async (filter, update) => {
+    if (!session.isActive || filter.refreshTokenHash !== session.refreshTokenHash) {
+      return null;
+    }
+    session.rotatedTokenHashes.push(...update.$push.rotatedTokenHashes.$each);
+    session.refreshTokenHash = update.$set.refreshTokenHash;
+    return session;
+  };
+  Session.findById = () => ({ select: async () => session });
+  User.findById = async () => new User({ name: 'Sam', email: 'sam@example.com' });
+
+  return () => {
+    Session.findOneAndUpdate = originals.findOneAndUpdate;
+    Session.findById = originals.findById;
+    User.findById = originals.userFindById;
+  };
+};
+
+const buildSession = (secret) =>
+  new Session({
+    user: new mongoose.Types.ObjectId(),
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+
+describe('Refresh token rotation', () => {
+  let session;
+  let restore;
+
+  beforeEach(() => {
+    session = buildSession('first');
+    restore = useStore(session);
+  });
+
+  afterEach(() => restore());
+
+  it('should exchange the current token for a new one', async () => {
+    const result = await rotateRefreshToken(`${session._id}.first`, req);
+
+    expect(result.refreshToken).toMatch(new RegExp(`^${session._id}\\.`));
+    expect(session.refreshTokenHash).toBe(hashToken(result.refreshToken.split('.')[1]));
+    expect(session.wasRotatedOut(hashToken('first'))).toBe(true);
+  });
+
+  it('should revoke the session when a rotated out token is replayed', async () => {
+    await rotateRefreshToken(`${session._id}.first`, req);
+
+    await expect(rotateRefreshToken(`${session._id}.first`, req)).rejects.toThrow(
+      'Refresh token reuse detected'
+    );
+    expect(session.revokedReason).toBe('reuse');
+    expect(session.isActive).toBe(false);
+  });
+
+  it('should reject a token the session never issued without revoking it', async () => {
+    const error = await rotateRefreshToken(`${session._id}.guessed`, req).catch(e => e);
+
+    expect(error.statusCode).toBe(401);
+    expect(error.message).toBe('Invalid refresh token');
+    expect(session.isActive).toBe(true);
+  });
+
+  it('should reject malformed tokens', async () => {
+    const error = await rotateRefreshToken('not-a-token', req).catch(e => e);
+
+    expect(error.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { updateShipmentStatus } from '../controllers/orderController.js';
+
+const sellerA = new mongoose.Types.ObjectId();
+const sellerB = new mongoose.Types.ObjectId();
+
+const item = (seller) => ({
+  product: new mongoose.Types.ObjectId(),
+  name: 'Item',
+  quantity: 1,
+  image: 'item.jpg',
+  price: 10,
+  seller,
+});
+
+const buildOrder = () => {
+  const order = new Order({
+    orderItems: [item(sellerA), item(sellerB), item(sellerA)],
+  });
+  order.splitIntoShipments();
+  return order;
+};
+
+// Runs a handler and resolves with the response body, or the error passed on
+const call = (handler, req) =>
+  new Promise(resolve => {
+    const res = { status: () => res, json: resolve };
+    handler(req, res, resolve);
+  });
+
+describe('Order shipments', () => {
+  it('should create one shipment per seller', () => {
+    const order = buildOrder();
+
+    expect(order.shipments).toHaveLength(2);
+    expect(order.shipments[0].seller.equals(sellerA)).toBe(true);
+    expect(order.shipments[0].items).toHaveLength(2);
+    expect(order.shipments[1].items[0].equals(order.orderItems[1]._id)).toBe(true);
+  });
+
+  it('should only move shipments forward', () => {
+    const [shipment] = buildOrder().shipments;
+
+    expect(shipment.canMoveTo('Shipped')).toBe(true);
+    expect(shipment.canMoveTo('Cancelled')).toBe(true);
+
+    shipment.updateStatus('Shipped', { trackingNumber: 'TRACK1' });
+    expect(shipment.trackingNumber).toBe('TRACK1');
+    expect(shipment.shippedAt).toBeDefined();
+    expect(shipment.trackingUpdates[0].status).toBe('Shipped');
+
+    expect(shipment.canMoveTo('Processing')).toBe(false);
+    expect(shipment.canMoveTo('Cancelled')).toBe(false);
+    expect(shipment.canMoveTo('Delivered')).toBe(true);
+  });
+
+  it('should derive the order status from its shipments', () => {
+    const order = buildOrder();
+    const [first, second] = order.shipments;
+
+    expect(order.deriveStatus()).toBe('Processing');
+
+    first.updateStatus('In Transit');
+    expect(order.deriveStatus()).toBe('Shipped');
+
+    first.updateStatus('Delivered');
+    expect(order.deriveStatus()).toBe('Shipped');
+
+    second.updateStatus('Cancelled');
+    expect(order.deriveStatus()).toBe('Delivered');
+
+    first.updateStatus('Returned');
+    expect(order.deriveStatus()).toBe('Returned');
+  });
+
+  it('should cancel the order when every shipment is cancelled', () => {
+    const order = buildOrder();
+    order.shipments.forEach(shipment => shipment.updateStatus('Cancelled'));
+
+    expect(order.deriveStatus()).toBe('Cancelled');
+  });
+
+  it('should not cancel shipments once the order is paid', () => {
+    const order = buildOrder();
+    order.isPaid = true;
+
+    expect(order.shipments[0].canMoveTo('Cancelled')).toBe(false);
+    expect(order.shipments[0].canMoveTo('Shipped')).toBe(true);
+  });
+
+  it('should refuse to cancel a paid shipment through the API', async () => {
+    const order = buildOrder();
+    order.isPaid = true;
+    const [shipment] = order.shipments;
+
+    const error = await call(updateShipmentStatus, {
+      resource: order,
+      params: { shipmentId: shipment._id.toString() },
+      body: { status: 'Cancelled' },
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Shipments of a paid order cannot be cancelled');
+    expect(shipment.status).toBe('Processing');
+  });
+});
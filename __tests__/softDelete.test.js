@@ -0,0 +1,254 @@
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../app.js';
+import User from '../models/User.js';
+import Cart from '../models/Cart.js';
+import Product from '../models/Product.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+import { createOrder } from '../controllers/orderController.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Runs a handler and resolves with the response body, or the error passed on
+const call = (handler, req) =>
+  new Promise(resolve => {
+    const res = { status: () => res, json: resolve };
+    handler(req, res, resolve);
+  });
+
+const seller = new User({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Sam',
+  email: 'sam@example.com',
+  role: 'seller',
+  isEmailVerified: true,
+});
+
+const buildProduct = (fields) => {
+  const product = new Product({
+    name: 'Kettle',
+    description: 'Electric kettle',
+    price: 20,
+    stock: 5,
+    category: new mongoose.Types.ObjectId(),
+    seller: seller._id,
+    status: 'published',
+    ...fields,
+  });
+  product.save = async () => product;
+  return product;
+};
+
+describe('Soft delete', () => {
+  describe('model', () => {
+    it('should move the product to the trash and record who did it', async () => {
+      const product = buildProduct();
+
+      await product.softDelete(seller);
+
+      expect(product.deletedAt).toBeInstanceOf(Date);
+      expect(product.deletedBy).toEqual(seller._id);
+      expect(product.isVisible()).toBe(false);
+    });
+
+    it('should restore the product as it was', async () => {
+      const product = buildProduct();
+
+      await product.softDelete(seller);
+      await product.restore();
+
+      expect(product.deletedAt).toBeNull();
+      expect(product.deletedBy).toBeUndefined();
+      expect(product.status).toBe('published');
+      expect(product.isVisible()).toBe(true);
+    });
+
+    it('should save without validating, so incomplete drafts can be trashed', async () => {
+      const product = buildProduct();
+      let options;
+      product.save = async (saveOptions) => {
+        options = saveOptions;
+        return product;
+      };
+
+      await product.softDelete(seller);
+
+      expect(options).toEqual({ validateBeforeSave: false });
+    });
+  });
+
+  describe('catalog', () => {
+    let originals;
+
+    beforeEach(() => {
+      originals = { findOne: Product.findOne, find: Product.find, findById: Product.findById };
+    });
+
+    afterEach(() => {
+      Object.assign(Product, originals);
+    });
+
+    it('should leave deleted products out of the customer filter', () => {
+      expect(Product.visibleFilter()).toEqual(expect.objectContaining({ deletedAt: null }));
+    });
+
+    it('should not show a deleted product\'s page', async () => {
+      let filter;
+
+      // A query that resolves to nothing, as it would for a deleted product
+      Product.findOne = (conditions) => {
+        filter = conditions;
+        const query = {
+          populate: () => query,
+          then: resolve => resolve(null),
+        };
+        return query;
+      };
+
+      const id = new mongoose.Types.ObjectId().toString();
+      const res = await request(app).get(`/api/v1/products/${id}`);
+
+      expect(res.statusCode).toBe(404);
+      expect(filter).toEqual(expect.objectContaining({ _id: id, deletedAt: null }));
+    });
+
+    it('should not add a deleted product to a cart', async () => {
+      const product = buildProduct({ deletedAt: new Date() });
+      const cart = new Cart({ user: seller._id });
+      Product.findById = async () => product;
+
+      await expect(cart.addItem(product._id, 1)).rejects.toThrow('Product not found');
+      expect(cart.items).toHaveLength(0);
+    });
+
+    it('should not order a deleted product', async () => {
+      const product = buildProduct({ deletedAt: new Date() });
+      let filter;
+      Product.find = async (conditions) => {
+        filter = conditions;
+        return [];
+      };
+
+      const error = await call(createOrder, {
+        user: seller,
+        body: {
+          orderItems: [{ product: product._id, quantity: 1 }],
+          shippingInfo: {
+            fullName: 'Sam Jones',
+            address: '1 High Street',
+            city: 'Leeds',
+            state: 'West Yorkshire',
+            country: 'UK',
+            postalCode: 'LS1 1AA',
+            phone: '0123',
+          },
+        },
+      });
+
+      expect(error.statusCode).toBe(404);
+      expect(error.message).toBe('One or more products not found');
+      expect(filter).toEqual(expect.objectContaining({ deletedAt: null }));
+    });
+  });
+
+  describe('API', () => {
+    let originals;
+    let audits;
+    let product;
+    let token;
+
+    // Signs the seller in without a database and serves the product to
+    // the permission checks
+    beforeEach(() => {
+      const session = new Session({
+        user: seller._id,
+        refreshTokenHash: 'hash',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      originals = {
+        session: Session.findById,
+        user: User.findById,
+        twoFactor: User.isTwoFactorRequired,
+        product: Product.findById,
+        record: AuditLog.record,
+      };
+      audits = [];
+
+      Session.findById = async () => session;
+      User.findById = async () => seller;
+      User.isTwoFactorRequired = async () => false;
+      Product.findById = async () => product;
+      AuditLog.record = async (req, entry) => audits.push(entry);
+
+      token = seller.getSignedJwtToken(session._id);
+    });
+
+    afterEach(() => {
+      Session.findById = originals.session;
+      User.findById = originals.user;
+      User.isTwoFactorRequired = originals.twoFactor;
+      Product.findById = originals.product;
+      AuditLog.record = originals.record;
+    });
+
+    const send = (method, path, body = {}) =>
+      request(app)[method](`/api/v1/products/${product._id}${path}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    it('should trash the product on delete and audit it', async () => {
+      product = buildProduct();
+
+      const res = await send('delete', '');
+
+      expect(res.statusCode).toBe(200);
+      expect(product.deletedAt).toBeInstanceOf(Date);
+      expect(audits).toEqual([
+        expect.objectContaining({ action: 'product.delete', target: product._id }),
+      ]);
+    });
+
+    it('should not update or delete a product in the trash', async () => {
+      product = buildProduct({ deletedAt: new Date() });
+
+      const update = await send('put', '', { price: 25 });
+      const remove = await send('delete', '');
+
+      expect(update.statusCode).toBe(404);
+      expect(remove.statusCode).toBe(404);
+      expect(product.price).toBe(20);
+    });
+
+    it('should restore a product from the trash', async () => {
+      product = buildProduct({ deletedAt: new Date(), deletedBy: seller._id });
+
+      const res = await send('put', '/restore');
+
+      expect(res.statusCode).toBe(200);
+      expect(product.deletedAt).toBeNull();
+      expect(audits).toEqual([
+        expect.objectContaining({ action: 'product.restore', target: product._id }),
+      ]);
+    });
+
+    it('should not restore a product that is not deleted', async () => {
+      product = buildProduct();
+
+      const res = await send('put', '/restore');
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Product is not deleted');
+    });
+
+    it('should not let sellers restore another seller\'s product', async () => {
+      product = buildProduct({ deletedAt: new Date(), seller: new mongoose.Types.ObjectId() });
+
+      const res = await send('put', '/restore');
+
+      expect(res.statusCode).toBe(403);
+      expect(product.deletedAt).not.toBeNull();
+    });
+  });
+});
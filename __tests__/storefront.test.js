@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import Seller from '../models/Seller.js';
+import Product from '../models/Product.js';
+import { getSellerBySlug } from '../controllers/sellerController.js';
+
+// Runs a handler and resolves with the response body, or the error passed on
+const call = (handler, req) =>
+  new Promise(resolve => {
+    const res = { status: () => res, json: resolve };
+    handler(req, res, resolve);
+  });
+
+describe('Seller storefront', () => {
+  let originals;
+  let paging;
+
+  // Serves an approved seller and records how the product list is paged
+  beforeEach(() => {
+    originals = {
+      findOne: Seller.findOne,
+      find: Product.find,
+      countDocuments: Product.countDocuments,
+    };
+    paging = {};
+
+    const seller = new Seller({
+      user: new mongoose.Types.ObjectId(),
+      storeName: 'Kettle Co',
+      slug: 'kettle-co',
+      status: 'approved',
+    });
+
+    Seller.findOne = () => ({ select: async () => seller });
+    Product.countDocuments = async () => 0;
+    Product.find = () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        skip: (skip) => {
+          paging.skip = skip;
+          return query;
+        },
+        limit: (limit) => {
+          paging.limit = limit;
+          return query;
+        },
+        then: resolve => resolve([]),
+      };
+      return query;
+    };
+  });
+
+  afterEach(() => {
+    Seller.findOne = originals.findOne;
+    Product.find = originals.find;
+    Product.countDocuments = originals.countDocuments;
+  });
+
+  const storefront = (query) => call(getSellerBySlug, { params: { slug: 'kettle-co' }, query });
+
+  it('should page the seller\'s products', async () => {
+    const body = await storefront({ page: '3', limit: '10' });
+
+    expect(paging).toEqual({ skip: 20, limit: 10 });
+    expect(body.data.products).toEqual(expect.objectContaining({ page: 3, limit: 10 }));
+  });
+
+  it('should treat pages and limits below one as the first page and one product', async () => {
+    const body = await storefront({ page: '-1', limit: '-5' });
+
+    expect(paging).toEqual({ skip: 0, limit: 1 });
+    expect(body.data.products).toEqual(expect.objectContaining({ page: 1, limit: 1 }));
+  });
+
+  it('should cap the page size', async () => {
+    await storefront({ limit: '5000' });
+
+    expect(paging.limit).toBe(100);
+  });
+});
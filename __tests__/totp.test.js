@@ -0,0 +1,56 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUri,
+} from '../utils/totp.js';
+
+// RFC 6238 reference secret (ASCII "12345678901234567890")
+const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    it('should round trip bytes', () => {
+      expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      // Last six digits of the published SHA1 values
+      expect(generateCode(secret, Math.floor(59 / 30))).toBe('287082');
+      expect(generateCode(secret, Math.floor(1111111109 / 30))).toBe('081804');
+      expect(generateCode(secret, Math.floor(1234567890 / 30))).toBe('005924');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1111111109 * 1000;
+
+    it('should accept the current code and return its step', () => {
+      expect(verifyCode(secret, '081804', { now })).toBe(Math.floor(1111111109 / 30));
+    });
+
+    it('should accept a code from the previous step', () => {
+      expect(verifyCode(secret, '081804', { now: now + 30 * 1000 })).not.toBeNull();
+    });
+
+    it('should reject wrong or malformed codes', () => {
+      expect(verifyCode(secret, '000000', { now })).toBeNull();
+      expect(verifyCode(secret, 'abc', { now })).toBeNull();
+      expect(verifyCode(secret, undefined, { now })).toBeNull();
+    });
+  });
+
+  describe('buildOtpAuthUri', () => {
+    it('should build an otpauth URI for authenticator apps', () => {
+      const uri = buildOtpAuthUri({ secret, label: 'test@example.com', issuer: 'E-Cart' });
+
+      expect(uri.startsWith('otpauth://totp/E-Cart:test%40example.com?')).toBe(true);
+      expect(uri).toContain(`secret=${secret}`);
+      expect(uri).toContain('issuer=E-Cart');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const buildUser = (fields) =>
+  new User({ name: 'Sam', email: 'sam@example.com', password: 'secret123', ...fields });
+
+describe('User model', () => {
+  describe('passwords', () => {
+    let originals;
+
+    // Saves go through the pre-save hooks but never reach the database
+    beforeEach(() => {
+      originals = { insertOne: User.collection.insertOne, updateOne: User.collection.updateOne };
+      User.collection.insertOne = async () => ({ acknowledged: true });
+      User.collection.updateOne = async () => ({ acknowledged: true, matchedCount: 1 });
+    });
+
+    afterEach(() => {
+      Object.assign(User.collection, originals);
+    });
+
+    it('should hash the password on save', async () => {
+      const user = buildUser();
+
+      await user.save();
+
+      expect(user.password).not.toBe('secret123');
+      expect(user.password).toMatch(/^\$2[aby]\$10\$/);
+    });
+
+    it('should match the password it was saved with', async () => {
+      const user = buildUser();
+
+      await user.save();
+
+      expect(await user.matchPassword('secret123')).toBe(true);
+      expect(await user.matchPassword('wrong-password')).toBe(false);
+      expect(await user.matchPassword(undefined)).toBe(false);
+    });
+
+    it('should not hash the password again when other fields change', async () => {
+      const user = buildUser();
+
+      await user.save();
+      const hash = user.password;
+
+      user.name = 'Samantha';
+      await user.save();
+
+      expect(user.password).toBe(hash);
+    });
+
+    it('should not match accounts without a password', async () => {
+      const user = new User({
+        name: 'Sam',
+        email: 'sam@example.com',
+        identities: [{ provider: 'google', subject: '123' }],
+      });
+
+      expect(await user.matchPassword('secret123')).toBe(false);
+    });
+
+    it('should not select the password by default', () => {
+      expect(User.schema.path('password').options.select).toBe(false);
+    });
+  });
+
+  describe('access tokens', () => {
+    const expire = process.env.JWT_EXPIRE;
+
+    afterEach(() => {
+      process.env.JWT_EXPIRE = expire;
+    });
+
+    it('should sign the user and session into the token', () => {
+      const user = buildUser();
+      const sessionId = new mongoose.Types.ObjectId();
+
+      const payload = jwt.verify(user.getSignedJwtToken(sessionId), process.env.JWT_SECRET);
+
+      expect(payload.id).toBe(user._id.toString());
+      expect(payload.sid).toBe(sessionId.toString());
+    });
+
+    it('should expire after JWT_EXPIRE', () => {
+      process.env.JWT_EXPIRE = '5m';
+
+      const payload = jwt.decode(buildUser().getSignedJwtToken('session'));
+
+      expect(payload.exp - payload.iat).toBe(5 * 60);
+    });
+
+    it('should let callers pick a shorter expiry', () => {
+      const payload = jwt.decode(buildUser().getSignedJwtToken('session', { expiresIn: '30s' }));
+
+      expect(payload.exp - payload.iat).toBe(30);
+    });
+  });
+
+  describe('reset tokens', () => {
+    it('should store only a hash of the token, valid for ten minutes', () => {
+      const user = buildUser();
+      const before = Date.now();
+
+      const token = user.getResetPasswordToken();
+
+      expect(user.resetPasswordToken).toBe(
+        crypto.createHash('sha256').update(token).digest('hex')
+      );
+      expect(user.resetPasswordExpire.getTime()).toBeGreaterThanOrEqual(before + 10 * 60 * 1000);
+      expect(user.resetPasswordExpire.getTime()).toBeLessThanOrEqual(Date.now() + 10 * 60 * 1000);
+    });
+
+    it('should issue a different token each time', () => {
+      const user = buildUser();
+
+      expect(user.getResetPasswordToken()).not.toBe(user.getResetPasswordToken());
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+const buildProduct = (variants) =>
+  new Product({
+    name: 'T-shirt',
+    description: 'Cotton T-shirt',
+    price: 20,
+    category: new mongoose.Types.ObjectId(),
+    seller: new mongoose.Types.ObjectId(),
+    options: [
+      { name: 'Size', values: ['S', 'M'] },
+      { name: 'Color', values: ['Red', 'Blue'] },
+    ],
+    variants,
+  });
+
+describe('Product variants', () => {
+  it('should accept variants with one valid value per option', async () => {
+    const product = buildProduct([
+      { sku: 'ts-s-red', options: { Size: 'S', Color: 'Red' }, stock: 3 },
+      { sku: 'TS-M-BLUE', options: { Size: 'M', Color: 'Blue' }, price: 25, stock: 2 },
+    ]);
+
+    await expect(product.validate()).resolves.toBeUndefined();
+    expect(product.variants[0].sku).toBe('TS-S-RED');
+  });
+
+  it('should reject variants with missing or unknown option values', async () => {
+    await expect(
+      buildProduct([{ sku: 'A', options: { Size: 'S' } }]).validate()
+    ).rejects.toThrow('must have one value for each product option');
+
+    await expect(
+      buildProduct([{ sku: 'A', options: { Size: 'XL', Color: 'Red' } }]).validate()
+    ).rejects.toThrow('must have one value for each product option');
+  });
+
+  it('should reject duplicate SKUs and combinations', async () => {
+    await expect(
+      buildProduct([
+        { sku: 'A', options: { Size: 'S', Color: 'Red' } },
+        { sku: 'A', options: { Size: 'M', Color: 'Red' } },
+      ]).validate()
+    ).rejects.toThrow('Duplicate SKU A');
+
+    await expect(
+      buildProduct([
+        { sku: 'A', options: { Size: 'S', Color: 'Red' } },
+        { sku: 'B', options: { Size: 'S', Color: 'Red' } },
+      ]).validate()
+    ).rejects.toThrow('Duplicate variant S/Red');
+  });
+
+  it('should use the variant price and stock when there is one', () => {
+    const product = buildProduct([
+      { sku: 'A', options: { Size: 'S', Color: 'Red' }, stock: 3 },
+      { sku: 'B', options: { Size: 'M', Color: 'Red' }, price: 25, stock: 0 },
+    ]);
+    const [plain, premium] = product.variants;
+
+    expect(product.priceFor(plain)).toBe(20);
+    expect(product.priceFor(premium)).toBe(25);
+    expect(product.stockFor(plain)).toBe(3);
+  });
+
+  it('should require a variant choice for products that have variants', () => {
+    const product = buildProduct([
+      { sku: 'A', options: { Size: 'S', Color: 'Red' } },
+      { sku: 'B', options: { Size: 'M', Color: 'Red' }, isActive: false },
+    ]);
+
+    expect(product.resolveVariant(product.variants[0]._id).sku).toBe('A');
+    expect(() => product.resolveVariant()).toThrow('choose an available variant');
+    expect(() => product.resolveVariant(product.variants[1]._id)).toThrow(
+      'choose an available variant'
+    );
+    expect(buildProduct([]).resolveVariant()).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import app from '../app.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// Signs in a user without a database: the session and user lookups made by
+// the protect middleware return the given documents
+const signIn = (user) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'hash',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  const originals = { session: Session.findById, user: User.findById };
+
+  Session.findById = async () => session;
+  User.findById = async () => user;
+
+  return {
+    token: user.getSignedJwtToken(session._id),
+    restore: () => {
+      Session.findById = originals.session;
+      User.findById = originals.user;
+    },
+  };
+};
+
+const buildUser = (fields) =>
+  new User({ name: 'Sam', email: 'sam@example.com', role: 'customer', ...fields });
+
+describe('Email verification', () => {
+  describe('verification token', () => {
+    it('should store only a hash of the token, valid for a day', () => {
+      const user = buildUser();
+      const token = user.getEmailVerificationToken();
+
+      expect(user.emailVerificationToken).toBe(
+        crypto.createHash('sha256').update(token).digest('hex')
+      );
+      expect(user.emailVerificationExpire.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    });
+
+    it('should start unverified', () => {
+      expect(buildUser().isEmailVerified).toBe(false);
+    });
+  });
+
+  describe('verification gate', () => {
+    let auth;
+
+    afterEach(() => auth.restore());
+
+    it('should stop unverified users placing orders', async () => {
+      auth = signIn(buildUser({ isEmailVerified: false }));
+
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${auth.token}`)
+        .send({ orderItems: [] });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toMatch(/verify your email/);
+    });
+
+    it('should stop unverified users reviewing products', async () => {
+      auth = signIn(buildUser({ isEmailVerified: false }));
+
+      const res = await request(app)
+        .post('/api/v1/products/64b7f0c2a1b2c3d4e5f60718/reviews')
+        .set('Authorization', `Bearer ${auth.token}`)
+        .send({ rating: 5, comment: 'Great' });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toMatch(/verify your email/);
+    });
+
+    it('should let verified users through to the order checks', async () => {
+      auth = signIn(buildUser({ isEmailVerified: true }));
+
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${auth.token}`)
+        .send({ orderItems: [] });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('No order items');
+    });
+  });
+});
@@ -21,6 +21,9 @@ import productRoutes from './routes/productRoutes.js';
 import cartRoutes from './routes/cartRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
 import authRoutes from './routes/authRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import sellerRoutes from './routes/sellerRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
 
 // Import middleware
 import { errorHandler, notFound } from './middleware/error.js';
@@ -31,6 +34,12 @@ import { errorHandler, notFound } from './middleware/error.js';
  */
 const app = express();
 
+// Behind a load balancer or reverse proxy, take the client IP from
+// X-Forwarded-For so per-IP limits apply to clients, not the proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Set security headers
 app.use(helmet());
 
@@ -83,6 +92,9 @@ app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/cart', cartRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/upload', uploadRoutes);
+app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/sellers', sellerRoutes);
+app.use('/api/v1/categories', categoryRoutes);
 
 /**
  * Health Check Endpoint
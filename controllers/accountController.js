@@ -0,0 +1,90 @@
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import asyncHandler from '../middleware/async.js';
+import { exportUserData } from '../services/accountService.js';
+import { notify } from '../services/mailService.js';
+
+// @desc    Download all personal data held about the current user
+// @route   GET /api/v1/auth/me/export
+// @access  Private
+export const exportMyData = asyncHandler(async (req, res, next) => {
+  const data = await exportUserData(req.user._id);
+
+  await AuditLog.record(req, { action: 'user.export', target: req.user._id });
+
+  res
+    .status(200)
+    .attachment(`account-export-${req.user.id}.json`)
+    .json(data);
+});
+
+// @desc    Schedule deletion of the current user's account
+// @route   DELETE /api/v1/auth/me
+// @access  Private
+export const requestAccountDeletion = asyncHandler(async (req, res, next) => {
+  const { password, reviews = 'anonymize' } = req.body;
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (user.deletionScheduledFor) {
+    return next(new ErrorResponse('Account deletion is already scheduled', 400));
+  }
+
+  if (!['anonymize', 'remove'].includes(reviews)) {
+    return next(
+      new ErrorResponse('Reviews must be either anonymize or remove', 400)
+    );
+  }
+
+  // Confirm with the password, unless the account only uses a login provider
+  if (user.password && !(await user.matchPassword(password))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  const graceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? 14);
+
+  user.deletionRequestedAt = Date.now();
+  user.deletionScheduledFor = Date.now() + graceDays * 24 * 60 * 60 * 1000;
+  user.deletionReviewMode = reviews;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, {
+    action: 'user.delete.request',
+    target: user._id,
+    details: { scheduledFor: user.deletionScheduledFor }
+  });
+
+  await notify({
+    to: user.email,
+    template: 'accountDeletionScheduled',
+    data: { name: user.name, scheduledFor: user.deletionScheduledFor }
+  });
+
+  res.status(202).json({
+    success: true,
+    data: { scheduledFor: user.deletionScheduledFor }
+  });
+});
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/v1/auth/me/deletion/cancel
+// @access  Private
+export const cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deletionScheduledFor) {
+    return next(new ErrorResponse('No account deletion is scheduled', 400));
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  user.deletionReviewMode = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, {
+    action: 'user.delete.cancel',
+    target: user._id
+  });
+
+  res.status(200).json({ success: true, data: user });
+});
@@ -0,0 +1,125 @@
+import User from '../models/User.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import asyncHandler from '../middleware/async.js';
+
+// Fields a customer can set on an address
+const ADDRESS_FIELDS = [
+  'label',
+  'fullName',
+  'address',
+  'city',
+  'state',
+  'country',
+  'postalCode',
+  'phone'
+];
+
+const pickAddressFields = body =>
+  ADDRESS_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+
+// Apply the default flags from the request, making sure some address
+// stays the default while any are saved
+const applyDefaults = (user, address, body) => {
+  const first = user.addresses.length === 1;
+
+  user.setDefaultAddress(address._id, {
+    shipping: body.isDefaultShipping === true || (first && body.isDefaultShipping !== false),
+    billing: body.isDefaultBilling === true || (first && body.isDefaultBilling !== false)
+  });
+};
+
+// @desc    Get saved addresses
+// @route   GET /api/v1/auth/addresses
+// @access  Private
+export const getAddresses = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    count: req.user.addresses.length,
+    data: req.user.addresses
+  });
+});
+
+// @desc    Add an address
+// @route   POST /api/v1/auth/addresses
+// @access  Private
+export const addAddress = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  user.addresses.push(pickAddressFields(req.body));
+  const address = user.addresses[user.addresses.length - 1];
+  applyDefaults(user, address, req.body);
+
+  await user.save();
+
+  res.status(201).json({
+    success: true,
+    data: address
+  });
+});
+
+// @desc    Update an address
+// @route   PUT /api/v1/auth/addresses/:addressId
+// @access  Private
+export const updateAddress = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    return next(
+      new ErrorResponse(
+        `Address not found with id of ${req.params.addressId}`,
+        404
+      )
+    );
+  }
+
+  address.set(pickAddressFields(req.body));
+  user.setDefaultAddress(address._id, {
+    shipping: req.body.isDefaultShipping === true,
+    billing: req.body.isDefaultBilling === true
+  });
+
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: address
+  });
+});
+
+// @desc    Delete an address
+// @route   DELETE /api/v1/auth/addresses/:addressId
+// @access  Private
+export const deleteAddress = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    return next(
+      new ErrorResponse(
+        `Address not found with id of ${req.params.addressId}`,
+        404
+      )
+    );
+  }
+
+  const { isDefaultShipping, isDefaultBilling } = address;
+  address.deleteOne();
+
+  // Hand the default over to the next saved address
+  if (user.addresses.length > 0 && (isDefaultShipping || isDefaultBilling)) {
+    user.setDefaultAddress(user.addresses[0]._id, {
+      shipping: isDefaultShipping,
+      billing: isDefaultBilling
+    });
+  }
+
+  await user.save();
+
+  res.status(200).json({ success: true, data: {} });
+});
@@ -0,0 +1,518 @@
+import User, { ROLES } from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import AuthThrottle from '../models/AuthThrottle.js';
+import ApiKey from '../models/ApiKey.js';
+import { accountKey } from '../services/bruteForceService.js';
+import { issueApiKey } from '../services/apiKeyService.js';
+import { canImpersonate } from '../policies/permissions.js';
+import escapeRegex from '../utils/escapeRegex.js';
+import { pageOptions, cursorPage } from '../utils/cursorPagination.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import asyncHandler from '../middleware/async.js';
+
+// @desc    Search users
+// @route   GET /api/v1/admin/users
+// @access  Private/Admin/Support
+export const getUsers = asyncHandler(async (req, res, next) => {
+  const { q, role, verified, suspended, createdAfter, createdBefore } = req.query;
+  const filter = {};
+
+  // Search name and email
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (role) {
+    filter.role = { $in: String(role).split(',') };
+  }
+
+  if (verified !== undefined) {
+    filter.isEmailVerified = verified === 'true';
+  }
+
+  if (suspended === 'true') {
+    filter.suspendedAt = { $ne: null };
+    filter.$and = [
+      { $or: [{ suspendedUntil: null }, { suspendedUntil: { $gt: new Date() } }] }
+    ];
+  } else if (suspended === 'false') {
+    filter.$and = [
+      {
+        $or: [
+          { suspendedAt: null },
+          { suspendedUntil: { $lte: new Date() } }
+        ]
+      }
+    ];
+  }
+
+  if (createdAfter || createdBefore) {
+    filter.createdAt = {};
+    if (createdAfter) filter.createdAt.$gte = new Date(createdAfter);
+    if (createdBefore) filter.createdAt.$lte = new Date(createdBefore);
+  }
+
+  // Newest accounts first
+  const options = pageOptions(req.query, { sort: '-createdAt' });
+  const page = await cursorPage(
+    options,
+    ({ filter: position, sort, limit }) =>
+      User.find({ $and: [filter, position] }).sort(sort).limit(limit),
+    () => User.countDocuments(filter)
+  );
+
+  res.status(200).json({
+    success: true,
+    count: page.data.length,
+    pagination: page.pagination,
+    data: page.data
+  });
+});
+
+// @desc    Get a single user
+// @route   GET /api/v1/admin/users/:id
+// @access  Private/Admin/Support
+export const getUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Suspend a user
+// @route   PUT /api/v1/admin/users/:id/suspend
+// @access  Private/Admin
+export const suspendUser = asyncHandler(async (req, res, next) => {
+  const { reason, until } = req.body;
+
+  if (!reason) {
+    return next(new ErrorResponse('Please provide a reason', 400));
+  }
+
+  if (until && !(new Date(until) > new Date())) {
+    return next(new ErrorResponse('Suspension end must be in the future', 400));
+  }
+
+  if (req.params.id === req.user.id) {
+    return next(new ErrorResponse('You cannot suspend yourself', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  user.suspendedAt = Date.now();
+  user.suspendedUntil = until ? new Date(until) : undefined;
+  user.suspensionReason = reason;
+  user.suspendedBy = req.user._id;
+  await user.save({ validateBeforeSave: false });
+
+  // Sign the user out everywhere right away
+  await Session.revokeAllForUser(user._id, 'suspended');
+
+  await AuditLog.record(req, {
+    action: 'user.suspend',
+    target: user._id,
+    details: { reason, until: user.suspendedUntil }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Lift a user's suspension
+// @route   PUT /api/v1/admin/users/:id/unsuspend
+// @access  Private/Admin
+export const unsuspendUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  user.suspendedAt = undefined;
+  user.suspendedUntil = undefined;
+  user.suspensionReason = undefined;
+  user.suspendedBy = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, { action: 'user.unsuspend', target: user._id });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Act as a user to reproduce their issue
+// @route   POST /api/v1/admin/users/:id/impersonate
+// @access  Private/Admin/Support
+export const impersonateUser = asyncHandler(async (req, res, next) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    return next(new ErrorResponse('Please provide a reason', 400));
+  }
+
+  if (req.impersonator) {
+    return next(
+      new ErrorResponse('You are already impersonating a user', 400)
+    );
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  // Staff may only impersonate roles that give no more access than their own
+  if (!canImpersonate(req.user, user)) {
+    return next(
+      new ErrorResponse(
+        `Users with the ${user.role} role cannot be impersonated by ${req.user.role} staff`,
+        403
+      )
+    );
+  }
+
+  if (user.isSuspended()) {
+    return next(new ErrorResponse('Suspended users cannot be impersonated', 400));
+  }
+
+  const minutes = Number(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30;
+  const session = await Session.create({
+    user: user._id,
+    impersonator: req.user._id,
+    impersonationReason: reason,
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  await AuditLog.record(req, {
+    action: 'user.impersonate',
+    target: user._id,
+    details: { reason, session: session._id, expiresAt: session.expiresAt }
+  });
+
+  // No cookie is set, so the staff member's own session is left untouched
+  res.status(200).json({
+    success: true,
+    token: user.getSignedJwtToken(session._id, { expiresIn: `${minutes}m` }),
+    data: {
+      session: session._id,
+      expiresAt: session.expiresAt,
+      user
+    }
+  });
+});
+
+// @desc    Promote or demote a user
+// @route   PUT /api/v1/admin/users/:id/role
+// @access  Private/Admin
+export const updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role, reason } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return next(
+      new ErrorResponse(`Role must be one of: ${ROLES.join(', ')}`, 400)
+    );
+  }
+
+  // Stop admins from accidentally locking themselves out
+  if (req.params.id === req.user.id) {
+    return next(new ErrorResponse('You cannot change your own role', 400));
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const previousRole = user.role;
+
+  if (previousRole !== role) {
+    user.role = role;
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: 'user.role.update',
+      target: user._id,
+      details: { from: previousRole, to: role, reason }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Get the role change history of a user
+// @route   GET /api/v1/admin/users/:id/role-history
+// @access  Private/Admin
+export const getRoleHistory = asyncHandler(async (req, res, next) => {
+  const history = await AuditLog.find({
+    target: req.params.id,
+    action: 'user.role.update'
+  })
+    .populate('actor', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: history.length,
+    data: history
+  });
+});
+
+// @desc    Get active sessions of a user
+// @route   GET /api/v1/admin/users/:id/sessions
+// @access  Private/Admin
+export const getUserSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.params.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions
+  });
+});
+
+// @desc    Revoke a single session
+// @route   DELETE /api/v1/admin/sessions/:id
+// @access  Private/Admin
+export const revokeUserSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findById(req.params.id);
+
+  if (!session) {
+    return next(
+      new ErrorResponse(`Session not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await session.revoke('admin');
+
+  await AuditLog.record(req, {
+    action: 'session.revoke',
+    target: session.user,
+    details: { session: session._id }
+  });
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Revoke every session of a user
+// @route   DELETE /api/v1/admin/users/:id/sessions
+// @access  Private/Admin
+export const revokeUserSessions = asyncHandler(async (req, res, next) => {
+  const result = await Session.revokeAllForUser(req.params.id, 'admin');
+
+  await AuditLog.record(req, {
+    action: 'session.revoke-all',
+    target: req.params.id,
+    details: { revoked: result.modifiedCount }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { revoked: result.modifiedCount }
+  });
+});
+
+// @desc    Get the roles that must use two-factor authentication
+// @route   GET /api/v1/admin/settings/two-factor
+// @access  Private/Admin
+export const getTwoFactorPolicy = asyncHandler(async (req, res, next) => {
+  const roles = await Setting.getValue('twoFactorRequiredRoles', []);
+
+  res.status(200).json({
+    success: true,
+    data: { roles }
+  });
+});
+
+// @desc    Set the roles that must use two-factor authentication
+// @route   PUT /api/v1/admin/settings/two-factor
+// @access  Private/Admin
+export const updateTwoFactorPolicy = asyncHandler(async (req, res, next) => {
+  const { roles } = req.body;
+  const allowed = ROLES.filter(role => role !== 'customer');
+
+  if (!Array.isArray(roles) || roles.some(role => !allowed.includes(role))) {
+    return next(
+      new ErrorResponse(
+        `Roles must be a list containing any of: ${allowed.join(', ')}`,
+        400
+      )
+    );
+  }
+
+  // Enrolling first means admins cannot lock themselves out of this route
+  if (roles.includes(req.user.role) && !req.user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse(
+        'Enable two-factor authentication on your own account first',
+        400
+      )
+    );
+  }
+
+  const previous = await Setting.getValue('twoFactorRequiredRoles', []);
+  await Setting.setValue('twoFactorRequiredRoles', roles, req.user._id);
+
+  await AuditLog.record(req, {
+    action: 'settings.two-factor.update',
+    details: { from: previous, to: roles }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { roles }
+  });
+});
+
+// @desc    Get current and recent login lockouts
+// @route   GET /api/v1/admin/security/lockouts
+// @access  Private/Admin
+export const getLockouts = asyncHandler(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+
+  const [active, recent] = await Promise.all([
+    AuthThrottle.find({
+      key: /^login:/,
+      lockedUntil: { $gt: new Date() }
+    })
+      .sort({ lockedUntil: -1 })
+      .limit(limit),
+    AuditLog.find({ action: 'auth.lockout' })
+      .populate('target', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { active, recent }
+  });
+});
+
+// @desc    Clear failed login attempts and any lockout of a user
+// @route   POST /api/v1/admin/users/:id/unlock
+// @access  Private/Admin
+export const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await AuthThrottle.deleteOne({ key: accountKey(user.email) });
+
+  await AuditLog.record(req, { action: 'auth.unlock', target: user._id });
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    List API keys
+// @route   GET /api/v1/admin/api-keys
+// @access  Private/Admin
+export const getApiKeys = asyncHandler(async (req, res, next) => {
+  const apiKeys = await ApiKey.find()
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys
+  });
+});
+
+// @desc    Create an API key
+// @route   POST /api/v1/admin/api-keys
+// @access  Private/Admin
+export const createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  if (expiresAt && !(new Date(expiresAt) > new Date())) {
+    return next(new ErrorResponse('Expiry must be in the future', 400));
+  }
+
+  const { apiKey, key } = await issueApiKey({
+    name,
+    scopes,
+    expiresAt,
+    createdBy: req.user._id
+  });
+
+  await AuditLog.record(req, {
+    action: 'apikey.create',
+    target: apiKey._id,
+    targetModel: 'ApiKey',
+    details: { name: apiKey.name, scopes: apiKey.scopes }
+  });
+
+  // The key is only ever shown in this response
+  res.status(201).json({
+    success: true,
+    key,
+    data: apiKey
+  });
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/v1/admin/api-keys/:id
+// @access  Private/Admin
+export const revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    return next(
+      new ErrorResponse(`API key not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (!apiKey.revokedAt) {
+    await apiKey.revoke(req.user._id);
+
+    await AuditLog.record(req, {
+      action: 'apikey.revoke',
+      target: apiKey._id,
+      targetModel: 'ApiKey'
+    });
+  }
+
+  res.status(200).json({ success: true, data: apiKey });
+});
@@ -1,23 +1,98 @@
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
 import ErrorResponse from '../utils/errorResponse.js';
+import logger from '../utils/logger.js';
 import asyncHandler from '../middleware/async.js';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import { createSession, rotateRefreshToken } from '../services/tokenService.js';
+import { notify } from '../services/mailService.js';
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  assertPasswordResetAllowed
+} from '../services/bruteForceService.js';
+import {
+  createAuthorizationRequest,
+  completeAuthorization
+} from '../services/oidcService.js';
+import { generateSecret, buildOtpAuthUri } from '../utils/totp.js';
+
+// Two-factor fields that are hidden from normal queries
+const TWO_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
 
 // @desc    Register user
 // @route   POST /api/v1/auth/register
 // @access  Public
 export const register = asyncHandler(async (req, res, next) => {
-  const { name, email, password, role } = req.body;
+  const { name, email, password } = req.body;
 
-  // Create user
+  // Create user. Roles are only ever granted by an admin, never self-assigned
   const user = await User.create({
     name,
     email,
-    password,
-    role
+    password
   });
 
-  sendTokenResponse(user, 200, res);
+  await sendVerificationEmail(user, req);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Verify email address
+// @route   GET /api/v1/auth/verify/:token
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  // Get hashed token
+  const emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired verification token', 400));
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = Date.now();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await notify({
+    to: user.email,
+    template: 'welcome',
+    data: { name: user.name }
+  });
+
+  res.status(200).json({ success: true, data: 'Email verified' });
+});
+
+// @desc    Resend email verification
+// @route   POST /api/v1/auth/verify/resend
+// @access  Private
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.isEmailVerified) {
+    return next(new ErrorResponse('Email is already verified', 400));
+  }
+
+  const sent = await sendVerificationEmail(user, req);
+
+  if (!sent) {
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json({ success: true, data: 'Email sent' });
 });
 
 // @desc    Login user
@@ -26,26 +101,181 @@ export const register = asyncHandler(async (req, res, next) => {
 export const login = asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
 
-  // Validate email & password
-  if (!email || !password) {
+  // Validate email & password. Objects such as { $gt: '' } must never reach
+  // the user query or the lockout keys.
+  if (!email || typeof email !== 'string' || !password) {
     return next(new ErrorResponse('Please provide an email and password', 400));
   }
 
+  // Stop here while the account or IP is locked out
+  await assertLoginAllowed(req, email);
+
   // Check for user
   const user = await User.findOne({ email }).select('+password');
 
-  if (!user) {
-    return next(new ErrorResponse('Invalid credentials', 401));
-  }
-
   // Check if password matches
-  const isMatch = await user.matchPassword(password);
+  const isMatch = user && (await user.matchPassword(password));
 
   if (!isMatch) {
+    await recordLoginFailure(req, email, user);
     return next(new ErrorResponse('Invalid credentials', 401));
   }
 
-  sendTokenResponse(user, 200, res);
+  await clearLoginFailures(email);
+
+  await completeLogin(user, req, res);
+});
+
+// @desc    Start login with an OpenID Connect provider
+// @route   GET /api/v1/auth/oidc/:provider
+// @access  Public
+export const oidcLogin = asyncHandler(async (req, res, next) => {
+  const { provider } = req.params;
+  const { url, transaction } = await createAuthorizationRequest(
+    provider,
+    oidcRedirectUri(req, provider)
+  );
+
+  // Keep state, nonce and PKCE verifier in a short-lived signed cookie
+  res.cookie(
+    'oidc_tx',
+    jwt.sign(transaction, process.env.JWT_SECRET, { expiresIn: '10m' }),
+    {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      maxAge: 10 * 60 * 1000,
+      path: '/api/v1/auth/oidc'
+    }
+  );
+
+  res.redirect(url);
+});
+
+// @desc    Finish login with an OpenID Connect provider
+// @route   GET /api/v1/auth/oidc/:provider/callback
+// @access  Public
+export const oidcCallback = asyncHandler(async (req, res, next) => {
+  const { provider } = req.params;
+  let transaction;
+
+  try {
+    transaction = jwt.verify(req.cookies.oidc_tx, process.env.JWT_SECRET);
+  } catch (err) {
+    return next(
+      new ErrorResponse('Login request has expired, please try again', 401)
+    );
+  }
+
+  res.clearCookie('oidc_tx', { path: '/api/v1/auth/oidc' });
+
+  const identity = await completeAuthorization(
+    provider,
+    req.query,
+    transaction
+  );
+
+  // Returning user of this provider
+  let user = await User.findOne({
+    identities: {
+      $elemMatch: { provider, subject: identity.subject }
+    }
+  });
+
+  if (!user && identity.email) {
+    const existing = await User.findOne({ email: identity.email });
+
+    if (existing) {
+      // Only link when the provider vouches for the address, otherwise
+      // anyone could take over an account by claiming its email
+      if (!identity.emailVerified) {
+        return next(
+          new ErrorResponse(
+            'An account with this email already exists, please log in with your password',
+            409
+          )
+        );
+      }
+
+      existing.identities.push({
+        provider,
+        subject: identity.subject,
+        email: identity.email
+      });
+
+      if (!existing.isEmailVerified) {
+        existing.isEmailVerified = true;
+        existing.emailVerifiedAt = Date.now();
+      }
+
+      user = await existing.save({ validateBeforeSave: false });
+    }
+  }
+
+  if (!user) {
+    if (!identity.email) {
+      return next(
+        new ErrorResponse('Login provider did not share an email address', 400)
+      );
+    }
+
+    user = await User.create({
+      name: identity.name || identity.email.split('@')[0],
+      email: identity.email,
+      isEmailVerified: identity.emailVerified,
+      emailVerifiedAt: identity.emailVerified ? Date.now() : undefined,
+      identities: [
+        { provider, subject: identity.subject, email: identity.email }
+      ]
+    });
+  }
+
+  await completeLogin(user, req, res);
+});
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/v1/auth/login/2fa
+// @access  Public
+export const loginTwoFactor = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken || !code) {
+    return next(
+      new ErrorResponse('Please provide a challenge token and code', 400)
+    );
+  }
+
+  let decoded;
+
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    return next(
+      new ErrorResponse('Login challenge has expired, please log in again', 401)
+    );
+  }
+
+  if (decoded.purpose !== '2fa') {
+    return next(new ErrorResponse('Invalid challenge token', 401));
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user || !user.twoFactor.enabled) {
+    return next(new ErrorResponse('Invalid challenge token', 401));
+  }
+
+  await assertLoginAllowed(req, user.email);
+
+  if (!user.verifyTwoFactorCode(code)) {
+    await recordLoginFailure(req, user.email, user);
+    return next(new ErrorResponse('Invalid two-factor code', 401));
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await clearLoginFailures(user.email);
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Get current logged in user
@@ -69,11 +299,29 @@ export const updateDetails = asyncHandler(async (req, res, next) => {
     email: req.body.email
   };
 
+  if (fieldsToUpdate.email !== undefined && typeof fieldsToUpdate.email !== 'string') {
+    return next(new ErrorResponse('Please add a valid email', 400));
+  }
+
+  // A new email address has to be verified again
+  const emailChanged =
+    fieldsToUpdate.email !== undefined &&
+    fieldsToUpdate.email.toLowerCase() !== req.user.email;
+
+  if (emailChanged) {
+    fieldsToUpdate.isEmailVerified = false;
+    fieldsToUpdate.emailVerifiedAt = null;
+  }
+
   const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
     new: true,
     runValidators: true
   });
 
+  if (emailChanged) {
+    await sendVerificationEmail(user, req);
+  }
+
   res.status(200).json({
     success: true,
     data: user
@@ -94,44 +342,41 @@ export const updatePassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  // Sign out every other device that knew the old password
+  await Session.revokeAllForUser(user._id, 'password-change');
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
 // @desc    Forgot password
 // @route   POST /api/v1/auth/forgotpassword
 // @access  Public
 export const forgotPassword = asyncHandler(async (req, res, next) => {
-  const user = await User.findOne({ email: req.body.email });
+  const { email } = req.body;
 
-  if (!user) {
-    return next(new ErrorResponse('There is no user with that email', 404));
+  if (!email || typeof email !== 'string') {
+    return next(new ErrorResponse('Please provide an email', 400));
   }
 
-  // Get reset token
-  const resetToken = user.getResetPasswordToken();
-
-  await user.save({ validateBeforeSave: false });
-
-  // Create reset URL
-  const resetUrl = `${req.protocol}://${req.get(
-    'host'
-  )}/api/v1/auth/resetpassword/${resetToken}`;
+  await assertPasswordResetAllowed(req, email);
 
-  const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to: \n\n ${resetUrl}`;
+  // The response is the same whether or not the account exists, so this
+  // endpoint cannot be used to find out which emails are registered
+  const response = {
+    success: true,
+    data: 'If an account exists for that email, a reset link has been sent'
+  };
 
-  try {
-    // TODO: Send email with nodemailer or sendgrid
-    console.log('Reset URL:', resetUrl);
-    
-    res.status(200).json({ success: true, data: 'Email sent' });
-  } catch (err) {
-    console.error(err);
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
+  const user = await User.findOne({ email });
 
-    await user.save({ validateBeforeSave: false });
+  res.status(200).json(response);
 
-    return next(new ErrorResponse('Email could not be sent', 500));
+  // The token is saved and the email sent after responding, so the response
+  // time does not reveal whether the account exists
+  if (user) {
+    sendPasswordResetEmail(user, req).catch(error =>
+      logger.error(`Password reset for user ${user._id} failed: ${error.message}`)
+    );
   }
 });
 
@@ -160,31 +405,327 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
   user.resetPasswordExpire = undefined;
   await user.save();
 
-  sendTokenResponse(user, 200, res);
+  await Session.revokeAllForUser(user._id, 'password-reset');
+
+  await sendTokenResponse(user, 200, req, res);
 });
 
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+export const refresh = asyncHandler(async (req, res, next) => {
+  const token = req.cookies.refreshToken || req.body.refreshToken;
 
-  const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production'
-  };
+  if (!token) {
+    return next(new ErrorResponse('No refresh token provided', 401));
+  }
+
+  try {
+    const { user, session, refreshToken } = await rotateRefreshToken(
+      token,
+      req
+    );
+
+    sendTokens(user, session, refreshToken, 200, res);
+  } catch (err) {
+    clearTokenCookies(res);
+    return next(err);
+  }
+});
+
+// @desc    Log out of the current device
+// @route   POST /api/v1/auth/logout
+// @access  Private
+export const logout = asyncHandler(async (req, res, next) => {
+  await req.authSession.revoke('logout');
+
+  clearTokenCookies(res);
 
-  if (process.env.NODE_ENV === 'production') {
-    options.secure = true;
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Log out of all devices
+// @route   POST /api/v1/auth/logout-all
+// @access  Private
+export const logoutAll = asyncHandler(async (req, res, next) => {
+  await Session.revokeAllForUser(req.user._id, 'logout-all');
+
+  clearTokenCookies(res);
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Get active sessions of the current user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      ...session.toJSON(),
+      current: session._id.equals(req.authSession._id)
+    }))
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!session) {
+    return next(
+      new ErrorResponse(`Session not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await session.revoke('logout');
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse('Two-factor authentication is already enabled', 400)
+    );
+  }
+
+  const secret = generateSecret();
+
+  user.twoFactor.secret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret,
+      otpauthUrl: buildOtpAuthUri({
+        secret,
+        label: user.email,
+        issuer: process.env.APP_NAME || 'E-Cart'
+      })
+    }
+  });
+});
+
+// @desc    Confirm two-factor enrollment with a code from the authenticator app
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse('Two-factor authentication is already enabled', 400)
+    );
+  }
+
+  if (!user.twoFactor.secret) {
+    return next(
+      new ErrorResponse('Please start two-factor setup first', 400)
+    );
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse('Invalid two-factor code', 400));
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = Date.now();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, { action: 'user.2fa.enable', target: user._id });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    `+password ${TWO_FACTOR_FIELDS}`
+  );
+
+  if (!user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse('Two-factor authentication is not enabled', 400)
+    );
+  }
+
+  if (await User.isTwoFactorRequired(user.role)) {
+    return next(
+      new ErrorResponse(
+        'Two-factor authentication is required for your role',
+        403
+      )
+    );
+  }
+
+  if (
+    !(await user.matchPassword(req.body.password)) ||
+    !user.verifyTwoFactorCode(req.body.code)
+  ) {
+    return next(
+      new ErrorResponse('Invalid password or two-factor code', 401)
+    );
+  }
+
+  user.twoFactor.enabled = false;
+  user.twoFactor.enabledAt = undefined;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.recoveryCodes = undefined;
+  user.twoFactor.lastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, { action: 'user.2fa.disable', target: user._id });
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Replace two-factor recovery codes
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    return next(
+      new ErrorResponse('Two-factor authentication is not enabled', 400)
+    );
   }
 
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse('Invalid two-factor code', 401));
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: { recoveryCodes }
+  });
+});
+
+// Finish a login: ask for a second factor when enabled, otherwise start a
+// session
+const completeLogin = async (user, req, res) => {
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: user.getTwoFactorChallengeToken()
+    });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+};
+
+// Callback URL registered with the login provider
+const oidcRedirectUri = (req, provider) => {
+  const baseUrl =
+    process.env.OIDC_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+  return `${baseUrl}/api/v1/auth/oidc/${provider}/callback`;
+};
+
+// Issue a fresh verification token and email it to the user
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.getEmailVerificationToken();
+
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${req.protocol}://${req.get(
+    'host'
+  )}/api/v1/auth/verify/${verificationToken}`;
+
+  return notify({
+    to: user.email,
+    template: 'emailVerification',
+    data: { name: user.name, verifyUrl }
+  });
+};
+
+// Issue a password reset token and email it to the user. The token is
+// cleared again when the email cannot be sent.
+const sendPasswordResetEmail = async (user, req) => {
+  const resetToken = user.getResetPasswordToken();
+
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${req.protocol}://${req.get(
+    'host'
+  )}/api/v1/auth/resetpassword/${resetToken}`;
+
+  const sent = await notify({
+    to: user.email,
+    template: 'passwordReset',
+    data: { name: user.name, resetUrl }
+  });
+
+  if (!sent) {
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+
+    await user.save({ validateBeforeSave: false });
+  }
+};
+
+// Start a new session for the user, create cookies and send response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await createSession(user, req);
+
+  sendTokens(user, session, refreshToken, statusCode, res);
+};
+
+// Sign an access token for the session, set both cookies and send response
+const sendTokens = (user, session, refreshToken, statusCode, res) => {
+  const token = user.getSignedJwtToken(session._id);
+  const secure = process.env.NODE_ENV === 'production';
+
   res
     .status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', token, {
+      httpOnly: true,
+      secure
+    })
+    .cookie('refreshToken', refreshToken, {
+      expires: session.expiresAt,
+      httpOnly: true,
+      secure,
+      path: '/api/v1/auth'
+    })
     .json({
       success: true,
-      token
+      token,
+      refreshToken
     });
 };
+
+// Remove the token cookies from the client
+const clearTokenCookies = res => {
+  res.clearCookie('token');
+  res.clearCookie('refreshToken', { path: '/api/v1/auth' });
+};
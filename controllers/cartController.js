@@ -19,7 +19,7 @@ export const getCart = asyncHandler(async (req, res, next) => {
 // @route   POST /api/v1/cart/items
 // @access  Private
 export const addToCart = asyncHandler(async (req, res, next) => {
-  const { productId, quantity = 1 } = req.body;
+  const { productId, variantId, quantity = 1 } = req.body;
   
   if (!productId) {
     return next(new ErrorResponse('Please provide a product ID', 400));
@@ -29,7 +29,7 @@ export const addToCart = asyncHandler(async (req, res, next) => {
   const cart = await Cart.getOrCreateCart(req.user.id);
   
   // Add item to cart
-  await cart.addItem(productId, quantity);
+  await cart.addItem(productId, quantity, variantId);
   
   // Return updated cart
   const updatedCart = await Cart.getOrCreateCart(req.user.id);
@@ -45,7 +45,7 @@ export const addToCart = asyncHandler(async (req, res, next) => {
 // @access  Private
 export const updateCartItem = asyncHandler(async (req, res, next) => {
   const { productId } = req.params;
-  const { quantity } = req.body;
+  const { quantity, variantId } = req.body;
   
   if (quantity === undefined || quantity === null) {
     return next(new ErrorResponse('Please provide a quantity', 400));
@@ -55,7 +55,7 @@ export const updateCartItem = asyncHandler(async (req, res, next) => {
   const cart = await Cart.getOrCreateCart(req.user.id);
   
   // Update item quantity
-  await cart.updateItemQuantity(productId, quantity);
+  await cart.updateItemQuantity(productId, quantity, variantId);
   
   // Return updated cart
   const updatedCart = await Cart.getOrCreateCart(req.user.id);
@@ -67,16 +67,17 @@ export const updateCartItem = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Remove item from cart
-// @route   DELETE /api/v1/cart/items/:productId
+// @route   DELETE /api/v1/cart/items/:productId?variantId=
 // @access  Private
 export const removeFromCart = asyncHandler(async (req, res, next) => {
   const { productId } = req.params;
+  const { variantId } = req.query;
   
   // Get or create cart for user
   const cart = await Cart.getOrCreateCart(req.user.id);
   
   // Remove item from cart
-  await cart.removeItem(productId);
+  await cart.removeItem(productId, variantId);
   
   // Return updated cart
   const updatedCart = await Cart.getOrCreateCart(req.user.id);
@@ -131,13 +132,15 @@ export const mergeCarts = asyncHandler(async (req, res, next) => {
   // Get or create user cart
   const userCart = await Cart.getOrCreateCart(req.user.id);
   
-  // Add each item from guest cart to user cart
+  // Add each item from guest cart to user cart. Items that cannot be added
+  // (e.g. product not found) are skipped and reported back to the client.
+  const skipped = [];
+
   for (const item of guestCart.items) {
     try {
-      await userCart.addItem(item.product, item.quantity);
+      await userCart.addItem(item.product, item.quantity, item.variant);
     } catch (error) {
-      // Skip items that cause errors (e.g., product not found)
-      console.error(`Error merging cart item ${item.product}:`, error.message);
+      skipped.push({ product: item.product, variant: item.variant, message: error.message });
     }
   }
   
@@ -146,6 +149,7 @@ export const mergeCarts = asyncHandler(async (req, res, next) => {
   
   res.status(200).json({
     success: true,
+    skipped,
     data: updatedCart
   });
 });
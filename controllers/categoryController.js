@@ -0,0 +1,160 @@
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import AuditLog from '../models/AuditLog.js';
+import { attributesFor } from '../services/attributeService.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import asyncHandler from '../middleware/async.js';
+
+// Fields of a category that admins can set
+const CATEGORY_FIELDS = [
+  'name',
+  'description',
+  'image',
+  'parent',
+  'attributes',
+  'sortOrder',
+  'isActive'
+];
+
+// Keep only the category fields an admin may set
+const pickCategory = (body) =>
+  Object.fromEntries(
+    CATEGORY_FIELDS.filter(field => body[field] !== undefined).map(field => [
+      field,
+      body[field]
+    ])
+  );
+
+// @desc    Get the category tree, or a flat list with ?flat=true
+// @route   GET /api/v1/categories
+// @access  Public
+export const getCategories = asyncHandler(async (req, res, next) => {
+  const categories = await Category.find().sort({ sortOrder: 1, name: 1 });
+
+  // A category is hidden when it or any category above it is inactive
+  const inactive = new Set(
+    categories.filter(category => !category.isActive).map(category => String(category._id))
+  );
+  const visible = categories.filter(
+    category =>
+      !inactive.has(String(category._id)) &&
+      !category.ancestors.some(id => inactive.has(String(id)))
+  );
+
+  res.status(200).json({
+    success: true,
+    count: visible.length,
+    data: req.query.flat === 'true' ? visible : Category.buildTree(visible)
+  });
+});
+
+// @desc    Get a category by id or slug, with its path, subcategories and attributes
+// @route   GET /api/v1/categories/:idOrSlug
+// @access  Public
+export const getCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findByIdOrSlug(req.params.idOrSlug);
+
+  if (!category || !category.isActive) {
+    return next(
+      new ErrorResponse(`Category not found with id or slug of ${req.params.idOrSlug}`, 404)
+    );
+  }
+
+  const [attributes, children] = await Promise.all([
+    attributesFor(category),
+    Category.find({ parent: category._id, isActive: true })
+      .select('name slug image sortOrder')
+      .sort({ sortOrder: 1, name: 1 })
+  ]);
+
+  await category.populate('ancestors', 'name slug');
+
+  res.status(200).json({
+    success: true,
+    data: { ...category.toObject(), attributes, children }
+  });
+});
+
+// @desc    Create a category
+// @route   POST /api/v1/categories
+// @access  Private/Admin
+export const createCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.create(pickCategory(req.body));
+
+  await AuditLog.record(req, {
+    action: 'category.create',
+    target: category._id,
+    targetModel: 'Category',
+    details: { name: category.name, parent: category.parent }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: category
+  });
+});
+
+// @desc    Update a category, or move it under another parent
+// @route   PUT /api/v1/categories/:id
+// @access  Private/Admin
+export const updateCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return next(
+      new ErrorResponse(`Category not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  category.set(pickCategory(req.body));
+  const changes = category.modifiedPaths();
+  await category.save();
+
+  await AuditLog.record(req, {
+    action: 'category.update',
+    target: category._id,
+    targetModel: 'Category',
+    details: { changes }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: category
+  });
+});
+
+// @desc    Delete a category that has no subcategories or products
+// @route   DELETE /api/v1/categories/:id
+// @access  Private/Admin
+export const deleteCategory = asyncHandler(async (req, res, next) => {
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return next(
+      new ErrorResponse(`Category not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  if (await Category.exists({ parent: category._id })) {
+    return next(
+      new ErrorResponse('Move or delete the subcategories of this category first', 400)
+    );
+  }
+
+  if (await Product.exists({ category: category._id })) {
+    return next(
+      new ErrorResponse('Move the products of this category first, or deactivate it', 400)
+    );
+  }
+
+  await category.deleteOne();
+
+  await AuditLog.record(req, {
+    action: 'category.delete',
+    target: category._id,
+    targetModel: 'Category',
+    details: { name: category.name }
+  });
+
+  res.status(200).json({ success: true, data: {} });
+});
@@ -1,17 +1,187 @@
-import Order from '../models/Order.js';
+import Order, { ORDER_STATUSES } from '../models/Order.js';
 import Cart from '../models/Cart.js';
 import Product from '../models/Product.js';
+import AuditLog from '../models/AuditLog.js';
 import ErrorResponse from '../utils/errorResponse.js';
+import parseListQuery from '../utils/listQuery.js';
+import { pageOptions, cursorPage } from '../utils/cursorPagination.js';
 import asyncHandler from '../middleware/async.js';
+import { notify } from '../services/mailService.js';
+import { recordSale, recordReversal } from '../services/ledgerService.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// What the order list can be filtered, sorted and selected by
+const ORDER_QUERY = {
+  filters: {
+    orderNumber: 'string',
+    orderStatus: { type: 'string', values: ORDER_STATUSES },
+    isPaid: 'boolean',
+    totalPrice: 'number',
+    user: 'objectId',
+    seller: { type: 'objectId', path: 'shipments.seller' },
+    createdAt: 'date',
+    paidAt: 'date',
+    deliveredAt: 'date',
+  },
+  sort: ['createdAt', 'paidAt', 'deliveredAt', 'totalPrice', 'orderStatus'],
+  select: [
+    'orderNumber',
+    'user',
+    'orderItems',
+    'shippingInfo',
+    'billingInfo',
+    'paymentInfo',
+    'itemsPrice',
+    'taxPrice',
+    'shippingPrice',
+    'totalPrice',
+    'orderStatus',
+    'trackingNumber',
+    'shipments',
+    'isPaid',
+    'paidAt',
+    'deliveredAt',
+    'createdAt',
+  ],
+};
+
+// Customers listing their own orders
+const MY_ORDER_QUERY = {
+  filters: {
+    orderStatus: ORDER_QUERY.filters.orderStatus,
+    isPaid: 'boolean',
+    createdAt: 'date',
+  },
+  sort: ['createdAt', 'totalPrice'],
+  select: ORDER_QUERY.select,
+};
+
+// Send one page of orders matching the query string and the base filter
+const sendOrderList = async (req, res, spec, baseFilter, build = query => query) => {
+  const { filter, sort, select } = parseListQuery(req.query, spec);
+  const orderFilter = { ...filter, ...baseFilter };
+  const options = pageOptions(req.query, { sort });
+
+  const page = await cursorPage(
+    options,
+    ({ filter: position, sort: order, limit }) => {
+      const query = build(
+        Order.find({ $and: [orderFilter, position] }).sort(order).limit(limit)
+      );
+
+      // The cursor needs the sort field even when it was not selected
+      return select ? query.select(`${select} ${options.field}`) : query;
+    },
+    () => Order.countDocuments(orderFilter)
+  );
+
+  res.status(200).json({
+    success: true,
+    count: page.data.length,
+    pagination: page.pagination,
+    data: page.data,
+  });
+};
+
+// Copy the fields of a saved or submitted address into an order
+const toShippingInfo = ({
+  fullName,
+  address,
+  city,
+  state,
+  country,
+  postalCode,
+  phone,
+}) => ({ fullName, address, city, state, country, postalCode, phone });
+
+// Email the customer about a shipping update. Anonymized orders have no
+// customer left to notify.
+const notifyShippingUpdate = async (order, data) => {
+  await order.populate('user', 'name email');
+
+  if (!order.user) {
+    return;
+  }
+
+  await notify({
+    to: order.user.email,
+    template: 'shippingUpdate',
+    data: { name: order.user.name, order, ...data },
+  });
+};
+
+// Move a whole order to a new status. Orders split into shipments move every
+// shipment that can make the change; older orders are updated directly.
+const changeOrderStatus = async (req, res, next, update) => {
+  const { status, trackingNumber, details } = update;
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return next(new ErrorResponse('Order not found', 404));
+  }
+
+  const location =
+    update.location ||
+    (status === 'Delivered' ? order.shippingInfo.city : 'Processing Center');
+
+  if (order.shipments.length > 0) {
+    const shipments = order.shipments.filter(shipment =>
+      shipment.canMoveTo(status)
+    );
+
+    if (shipments.length === 0) {
+      return next(
+        new ErrorResponse(`No shipment of this order can move to ${status}`, 400)
+      );
+    }
+
+    shipments.forEach(shipment =>
+      shipment.updateStatus(status, { trackingNumber, location, details })
+    );
+  } else {
+    order.orderStatus = status;
+
+    if (status === 'Delivered') {
+      order.deliveredAt = Date.now();
+    }
+
+    // Update tracking number if provided
+    if (trackingNumber) {
+      order.trackingNumber = trackingNumber;
+    }
+
+    // Add tracking update
+    order.trackingUpdates.unshift({
+      date: new Date(),
+      status,
+      location,
+      details: details || `Order status updated to ${status}`,
+    });
+  }
+
+  const updatedOrder = await order.save();
+
+  await notifyShippingUpdate(updatedOrder, {
+    status,
+    trackingNumber: trackingNumber || order.trackingNumber,
+    details,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: updatedOrder,
+  });
+};
+
 // @desc    Create new order
 // @route   POST /api/v1/orders
 // @access  Private
 export const createOrder = asyncHandler(async (req, res, next) => {
   const {
     orderItems,
-    shippingAddress,
+    addressId,
+    billingAddressId,
+    shippingInfo,
     paymentMethod,
     itemsPrice,
     taxPrice,
@@ -23,40 +193,85 @@ export const createOrder = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('No order items', 400));
   }
 
-  // Verify all products exist and are in stock
-  const productIds = orderItems.map(item => item.product);
-  const products = await Product.find({ _id: { $in: productIds } });
+  // Snapshot the shipping address so later edits to the address book do
+  // not change where past orders were sent
+  let shippingAddress;
+
+  if (addressId) {
+    shippingAddress = req.user.addresses.id(addressId);
 
-  if (products.length !== orderItems.length) {
+    if (!shippingAddress) {
+      return next(
+        new ErrorResponse(`Address not found with id of ${addressId}`, 404)
+      );
+    }
+  } else if (shippingInfo) {
+    shippingAddress = shippingInfo;
+  } else {
+    shippingAddress = req.user.getDefaultAddress('shipping');
+  }
+
+  if (!shippingAddress) {
+    return next(new ErrorResponse('Please provide a shipping address', 400));
+  }
+
+  const billingAddress = billingAddressId
+    ? req.user.addresses.id(billingAddressId)
+    : req.user.getDefaultAddress('billing');
+
+  if (billingAddressId && !billingAddress) {
+    return next(
+      new ErrorResponse(`Address not found with id of ${billingAddressId}`, 404)
+    );
+  }
+
+  // Verify all products are on sale and in stock
+  const productIds = [...new Set(orderItems.map(item => String(item.product)))];
+  const products = await Product.find({
+    _id: { $in: productIds },
+    ...Product.visibleFilter()
+  });
+
+  if (products.length !== productIds.length) {
     return next(new ErrorResponse('One or more products not found', 404));
   }
 
-  // Check stock and calculate prices
+  // Check stock and calculate prices at the variant level
   let calculatedItemsPrice = 0;
   const orderItemsWithDetails = [];
 
   for (const item of orderItems) {
-    const product = products.find(p => p._id.toString() === item.product);
-    
-    if (product.stock < item.quantity) {
+    const product = products.find(p => p._id.toString() === String(item.product));
+    const variant = product.resolveVariant(item.variant);
+
+    if (product.stockFor(variant) < item.quantity) {
       return next(
-        new ErrorResponse(`Not enough stock for ${product.name}`, 400)
+        new ErrorResponse(
+          `Not enough stock for ${product.name}${variant ? ` (${variant.sku})` : ''}`,
+          400
+        )
       );
     }
 
-    calculatedItemsPrice += item.price * item.quantity;
+    const price = product.priceFor(variant);
+    calculatedItemsPrice += price * item.quantity;
 
     orderItemsWithDetails.push({
       product: item.product,
+      variant: variant?._id,
+      sku: variant?.sku,
+      options: variant?.options,
       name: product.name,
       quantity: item.quantity,
-      image: item.image || product.images[0]?.url || '',
-      price: item.price,
+      image:
+        item.image || variant?.images[0]?.url || product.images[0]?.url || '',
+      price,
+      seller: product.seller,
     });
   }
 
   // Verify calculated prices match provided prices
-  if (calculatedItemsPrice !== itemsPrice) {
+  if (Math.round(calculatedItemsPrice * 100) / 100 !== itemsPrice) {
     return next(new ErrorResponse('Cart items have been updated', 400));
   }
 
@@ -77,7 +292,8 @@ export const createOrder = asyncHandler(async (req, res, next) => {
   const order = new Order({
     orderItems: orderItemsWithDetails,
     user: req.user._id,
-    shippingAddress,
+    shippingInfo: toShippingInfo(shippingAddress),
+    billingInfo: billingAddress ? toShippingInfo(billingAddress) : undefined,
     paymentMethod,
     itemsPrice,
     taxPrice: calculatedTaxPrice,
@@ -93,6 +309,9 @@ export const createOrder = asyncHandler(async (req, res, next) => {
     ],
   });
 
+  // Each seller fulfils their own items
+  order.splitIntoShipments();
+
   const createdOrder = await order.save();
 
   // Clear the user's cart
@@ -101,6 +320,12 @@ export const createOrder = asyncHandler(async (req, res, next) => {
     await cart.clearCart();
   }
 
+  await notify({
+    to: req.user.email,
+    template: 'orderConfirmation',
+    data: { name: req.user.name, order: createdOrder },
+  });
+
   res.status(201).json({
     success: true,
     data: createdOrder,
@@ -111,24 +336,8 @@ export const createOrder = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/orders/:id
 // @access  Private
 export const getOrderById = asyncHandler(async (req, res, next) => {
-  const order = await Order.findById(req.params.id).populate(
-    'user',
-    'name email'
-  );
-
-  if (!order) {
-    return next(new ErrorResponse('Order not found', 404));
-  }
-
-  // Check if user is authorized to view this order
-  if (
-    order.user._id.toString() !== req.user._id.toString() &&
-    req.user.role !== 'admin'
-  ) {
-    return next(
-      new ErrorResponse('Not authorized to view this order', 401)
-    );
-  }
+  // The permit middleware has already loaded the order and checked access
+  const order = await req.resource.populate('user', 'name email');
 
   res.status(200).json({
     success: true,
@@ -136,24 +345,15 @@ export const getOrderById = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Update order to paid
+// @desc    Mark an order paid once staff have confirmed the payment
 // @route   PUT /api/v1/orders/:id/pay
-// @access  Private
+// @access  Private/Admin
 export const updateOrderToPaid = asyncHandler(async (req, res, next) => {
-  const order = await Order.findById(req.params.id);
-
-  if (!order) {
-    return next(new ErrorResponse('Order not found', 404));
-  }
+  const order = req.resource;
 
-  // Check if user is authorized to update this order
-  if (
-    order.user.toString() !== req.user._id.toString() &&
-    req.user.role !== 'admin'
-  ) {
-    return next(
-      new ErrorResponse('Not authorized to update this order', 401)
-    );
+  // Paying twice would record the sale in the sellers' ledgers twice
+  if (order.isPaid) {
+    return next(new ErrorResponse('Order is already paid', 400));
   }
 
   order.isPaid = true;
@@ -162,7 +362,7 @@ export const updateOrderToPaid = asyncHandler(async (req, res, next) => {
     id: req.body.id || uuidv4(),
     status: req.body.status || 'COMPLETED',
     update_time: req.body.update_time || new Date().toISOString(),
-    email_address: req.body.email_address || req.user.email,
+    email_address: req.body.email_address,
   };
 
   // Add tracking update
@@ -175,6 +375,16 @@ export const updateOrderToPaid = asyncHandler(async (req, res, next) => {
 
   const updatedOrder = await order.save();
 
+  // Record what each seller is owed for the order
+  await recordSale(updatedOrder);
+
+  await AuditLog.record(req, {
+    action: 'order.pay',
+    target: order._id,
+    targetModel: 'Order',
+    details: { paymentId: order.paymentResult.id, totalPrice: order.totalPrice },
+  });
+
   res.status(200).json({
     success: true,
     data: updatedOrder,
@@ -185,69 +395,142 @@ export const updateOrderToPaid = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/orders/:id/deliver
 // @access  Private/Admin
 export const updateOrderToDelivered = asyncHandler(async (req, res, next) => {
-  const order = await Order.findById(req.params.id);
+  await changeOrderStatus(req, res, next, {
+    status: 'Delivered',
+    details: 'Your order has been delivered successfully.',
+  });
+});
 
-  if (!order) {
-    return next(new ErrorResponse('Order not found', 404));
+// @desc    Update order status
+// @route   PUT /api/v1/orders/:id/status
+// @access  Private/Admin
+export const updateOrderStatus = asyncHandler(async (req, res, next) => {
+  if (!req.body.status) {
+    return next(new ErrorResponse('Status is required', 400));
   }
 
-  order.isDelivered = true;
-  order.deliveredAt = Date.now();
-  order.orderStatus = 'Delivered';
+  await changeOrderStatus(req, res, next, req.body);
+});
 
-  // Add tracking update
-  order.trackingUpdates.unshift({
-    date: new Date(),
-    status: 'Delivered',
-    location: order.shippingAddress.city,
-    details: 'Your order has been delivered successfully.',
+// @desc    Record a refund or chargeback against a paid order
+// @route   POST /api/v1/orders/:id/refunds
+// @access  Private/Admin
+export const refundOrder = asyncHandler(async (req, res, next) => {
+  const { type = 'refund', items, reason } = req.body;
+
+  if (!['refund', 'chargeback'].includes(type)) {
+    return next(new ErrorResponse('Type must be refund or chargeback', 400));
+  }
+
+  if (!reason) {
+    return next(new ErrorResponse('Please provide a reason', 400));
+  }
+
+  const order = req.resource;
+  const entries = await recordReversal(order, {
+    type,
+    items,
+    reason,
+    user: req.user,
   });
 
-  const updatedOrder = await order.save();
+  await AuditLog.record(req, {
+    action: `order.${type}`,
+    target: order._id,
+    targetModel: 'Order',
+    details: { items: entries.map(entry => entry.orderItem), reason },
+  });
+
+  res.status(201).json({
+    success: true,
+    count: entries.length,
+    data: entries,
+  });
+});
+
+// @desc    Get the logged in seller's shipments
+// @route   GET /api/v1/orders/shipments/mine
+// @access  Private/Seller
+export const getMyShipments = asyncHandler(async (req, res, next) => {
+  const filter = { 'shipments.seller': req.user._id };
+
+  if (req.query.status) {
+    filter.shipments = {
+      $elemMatch: { seller: req.user._id, status: String(req.query.status) },
+    };
+    delete filter['shipments.seller'];
+  }
+
+  const orders = await Order.find(filter).sort({ createdAt: -1 });
+
+  // Sellers only see their own part of each order
+  const shipments = orders.flatMap(order =>
+    order.shipments
+      .filter(shipment => shipment.seller.equals(req.user._id))
+      .map(shipment => ({
+        order: {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          shippingInfo: order.shippingInfo,
+          isPaid: order.isPaid,
+          createdAt: order.createdAt,
+        },
+        ...shipment.toObject(),
+        items: order.orderItems.filter(item =>
+          shipment.items.some(id => id.equals(item._id))
+        ),
+      }))
+  );
 
   res.status(200).json({
     success: true,
-    data: updatedOrder,
+    count: shipments.length,
+    data: shipments,
   });
 });
 
-// @desc    Update order status
-// @route   PUT /api/v1/orders/:id/status
-// @access  Private/Admin
-export const updateOrderStatus = asyncHandler(async (req, res, next) => {
+// @desc    Update the status of one shipment of an order
+// @route   PUT /api/v1/orders/:id/shipments/:shipmentId/status
+// @access  Private/Seller/Admin
+export const updateShipmentStatus = asyncHandler(async (req, res, next) => {
   const { status, trackingNumber, location, details } = req.body;
 
   if (!status) {
     return next(new ErrorResponse('Status is required', 400));
   }
 
-  const order = await Order.findById(req.params.id);
+  // The permit middleware has already loaded the order and checked access
+  const order = req.resource;
+  const shipment = order.shipments.id(req.params.shipmentId);
 
-  if (!order) {
-    return next(new ErrorResponse('Order not found', 404));
+  if (status === 'Cancelled' && order.isPaid) {
+    return next(
+      new ErrorResponse('Shipments of a paid order cannot be cancelled', 400)
+    );
   }
 
-  // Update order status
-  order.orderStatus = status;
-  
-  // Update tracking number if provided
-  if (trackingNumber) {
-    order.trackingNumber = trackingNumber;
+  if (!shipment.canMoveTo(status)) {
+    return next(
+      new ErrorResponse(
+        `Shipment cannot move from ${shipment.status} to ${status}`,
+        400
+      )
+    );
   }
 
-  // Add tracking update
-  order.trackingUpdates.unshift({
-    date: new Date(),
-    status,
-    location: location || 'Processing Center',
-    details: details || `Order status updated to ${status}`,
-  });
+  shipment.updateStatus(status, { trackingNumber, location, details });
 
   const updatedOrder = await order.save();
 
+  await notifyShippingUpdate(updatedOrder, {
+    status,
+    trackingNumber: shipment.trackingNumber,
+    details,
+  });
+
   res.status(200).json({
     success: true,
-    data: updatedOrder,
+    data: shipment,
   });
 });
 
@@ -255,28 +538,16 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/orders/myorders
 // @access  Private
 export const getMyOrders = asyncHandler(async (req, res, next) => {
-  const orders = await Order.find({ user: req.user._id }).sort({ createdAt: -1 });
-  
-  res.status(200).json({
-    success: true,
-    count: orders.length,
-    data: orders,
-  });
+  await sendOrderList(req, res, MY_ORDER_QUERY, { user: req.user._id });
 });
 
 // @desc    Get all orders
 // @route   GET /api/v1/orders
 // @access  Private/Admin
 export const getOrders = asyncHandler(async (req, res, next) => {
-  const orders = await Order.find({})
-    .populate('user', 'id name')
-    .sort({ createdAt: -1 });
-    
-  res.status(200).json({
-    success: true,
-    count: orders.length,
-    data: orders,
-  });
+  await sendOrderList(req, res, ORDER_QUERY, {}, query =>
+    query.populate('user', 'id name')
+  );
 });
 
 // @desc    Get monthly sales
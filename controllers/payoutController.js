@@ -0,0 +1,244 @@
+import LedgerEntry from '../models/LedgerEntry.js';
+import PayoutStatement from '../models/PayoutStatement.js';
+import CommissionRule from '../models/CommissionRule.js';
+import AuditLog from '../models/AuditLog.js';
+import { getBalance } from '../services/ledgerService.js';
+import toCsv from '../utils/csv.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import asyncHandler from '../middleware/async.js';
+
+// Columns of the statement CSV export
+const STATEMENT_COLUMNS = [
+  { header: 'Date', value: 'createdAt' },
+  { header: 'Type', value: 'type' },
+  { header: 'Order', value: 'orderNumber' },
+  { header: 'Item', value: 'description' },
+  { header: 'Quantity', value: 'quantity' },
+  { header: 'Amount', value: 'amount' },
+  { header: 'Commission rate (%)', value: 'commissionRate' },
+  { header: 'Commission', value: 'commission' },
+  { header: 'Net', value: 'net' },
+  { header: 'Reason', value: 'reason' }
+];
+
+// Fields of a commission rule that admins can set
+const pickRule = ({ scope, category, seller, rate, isActive }) =>
+  Object.fromEntries(
+    Object.entries({ scope, category, seller, rate, isActive }).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+
+// @desc    Get the logged in seller's balance
+// @route   GET /api/v1/sellers/me/balance
+// @access  Private/Seller
+export const getMyBalance = asyncHandler(async (req, res, next) => {
+  const balance = await getBalance(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    data: balance
+  });
+});
+
+// @desc    Get the logged in seller's payout statements
+// @route   GET /api/v1/sellers/me/statements
+// @access  Private/Seller
+export const getMyStatements = asyncHandler(async (req, res, next) => {
+  const statements = await PayoutStatement.find({ seller: req.user._id }).sort({
+    periodEnd: -1
+  });
+
+  res.status(200).json({
+    success: true,
+    count: statements.length,
+    data: statements
+  });
+});
+
+// @desc    Get a payout statement with its entries
+// @route   GET /api/v1/sellers/me/statements/:id
+// @access  Private/Seller/Admin
+export const getStatement = asyncHandler(async (req, res, next) => {
+  // The permit middleware has already loaded the statement and checked access
+  const statement = req.resource;
+  const entries = await LedgerEntry.find({ statement: statement._id }).sort({
+    createdAt: 1
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { ...statement.toObject(), entries }
+  });
+});
+
+// @desc    Download a payout statement as CSV
+// @route   GET /api/v1/sellers/me/statements/:id/export
+// @access  Private/Seller/Admin
+export const exportStatement = asyncHandler(async (req, res, next) => {
+  const statement = req.resource;
+  const entries = await LedgerEntry.find({ statement: statement._id })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const date = statement.periodEnd.toISOString().slice(0, 10);
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.attachment(`statement-${date}.csv`);
+  res.status(200).send(toCsv(entries, STATEMENT_COLUMNS));
+});
+
+// @desc    List payout statements of all sellers
+// @route   GET /api/v1/admin/payouts
+// @access  Private/Admin
+export const getStatements = asyncHandler(async (req, res, next) => {
+  const filter = {};
+
+  if (req.query.status) {
+    filter.status = String(req.query.status);
+  }
+
+  if (req.query.seller) {
+    filter.seller = String(req.query.seller);
+  }
+
+  const statements = await PayoutStatement.find(filter)
+    .populate('seller', 'name email')
+    .sort({ periodEnd: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: statements.length,
+    data: statements
+  });
+});
+
+// @desc    Record that a payout statement has been paid
+// @route   PUT /api/v1/admin/payouts/:id/paid
+// @access  Private/Admin
+export const markStatementPaid = asyncHandler(async (req, res, next) => {
+  const { paymentReference } = req.body;
+
+  if (!paymentReference) {
+    return next(new ErrorResponse('Please provide a payment reference', 400));
+  }
+
+  const statement = await PayoutStatement.findOneAndUpdate(
+    { _id: req.params.id, status: 'open' },
+    {
+      status: 'paid',
+      paidAt: Date.now(),
+      paymentReference,
+      paidBy: req.user._id
+    },
+    { new: true }
+  );
+
+  if (!statement) {
+    return next(
+      new ErrorResponse(`No open statement found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await AuditLog.record(req, {
+    action: 'payout.paid',
+    target: statement._id,
+    targetModel: 'PayoutStatement',
+    details: { net: statement.net, paymentReference }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: statement
+  });
+});
+
+// @desc    List commission rules
+// @route   GET /api/v1/admin/commission-rules
+// @access  Private/Admin
+export const getCommissionRules = asyncHandler(async (req, res, next) => {
+  const rules = await CommissionRule.find()
+    .populate('seller', 'name email')
+    .sort({ scope: 1, createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: rules.length,
+    data: rules
+  });
+});
+
+// @desc    Create a commission rule
+// @route   POST /api/v1/admin/commission-rules
+// @access  Private/Admin
+export const createCommissionRule = asyncHandler(async (req, res, next) => {
+  const rule = await CommissionRule.create({
+    ...pickRule(req.body),
+    createdBy: req.user._id
+  });
+
+  await AuditLog.record(req, {
+    action: 'commission.create',
+    target: rule._id,
+    targetModel: 'CommissionRule',
+    details: pickRule(rule.toObject())
+  });
+
+  res.status(201).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Update a commission rule
+// @route   PUT /api/v1/admin/commission-rules/:id
+// @access  Private/Admin
+export const updateCommissionRule = asyncHandler(async (req, res, next) => {
+  const rule = await CommissionRule.findById(req.params.id);
+
+  if (!rule) {
+    return next(
+      new ErrorResponse(`Commission rule not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const { rate, isActive } = req.body;
+  const previous = { rate: rule.rate, isActive: rule.isActive };
+
+  rule.set(pickRule({ rate, isActive }));
+  await rule.save();
+
+  await AuditLog.record(req, {
+    action: 'commission.update',
+    target: rule._id,
+    targetModel: 'CommissionRule',
+    details: { from: previous, to: { rate: rule.rate, isActive: rule.isActive } }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+// @desc    Delete a commission rule
+// @route   DELETE /api/v1/admin/commission-rules/:id
+// @access  Private/Admin
+export const deleteCommissionRule = asyncHandler(async (req, res, next) => {
+  const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+
+  if (!rule) {
+    return next(
+      new ErrorResponse(`Commission rule not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  await AuditLog.record(req, {
+    action: 'commission.delete',
+    target: rule._id,
+    targetModel: 'CommissionRule',
+    details: pickRule(rule.toObject())
+  });
+
+  res.status(200).json({ success: true, data: {} });
+});
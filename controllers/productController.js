@@ -1,93 +1,347 @@
-import Product from '../models/Product.js';
+import Product, { PRODUCT_STATUSES } from '../models/Product.js';
+import AuditLog from '../models/AuditLog.js';
+import Seller from '../models/Seller.js';
+import Category from '../models/Category.js';
+import {
+  attributesFor,
+  validateAttributes,
+  filterableAttributes,
+  attributeFilter,
+  facetCounts
+} from '../services/attributeService.js';
+import {
+  MAX_QUERY_LENGTH,
+  parseQuery,
+  highlight,
+  suggest
+} from '../services/searchService.js';
+import { can } from '../policies/permissions.js';
 import ErrorResponse from '../utils/errorResponse.js';
+import parseListQuery from '../utils/listQuery.js';
+import { pageOptions, cursorPage } from '../utils/cursorPagination.js';
 import asyncHandler from '../middleware/async.js';
 import path from 'path';
 
+// What product list endpoints can filter, sort and select by
+const PRODUCT_QUERY = {
+  filters: {
+    price: 'number',
+    ratings: 'number',
+    numOfReviews: 'number',
+    stock: 'number',
+    createdAt: 'date',
+    publishedAt: 'date'
+  },
+  sort: ['name', 'price', 'ratings', 'numOfReviews', 'stock', 'publishedAt', 'createdAt'],
+  select: [
+    'name',
+    'description',
+    'price',
+    'images',
+    'category',
+    'stock',
+    'ratings',
+    'numOfReviews',
+    'reviews',
+    'seller',
+    'attributes',
+    'options',
+    'variants',
+    'publishedAt',
+    'createdAt',
+    'updatedAt'
+  ],
+  // Read by buildProductFilter and searchProducts
+  ignore: ['category', 'attributes', 'q']
+};
+
+// Sellers listing their own products may also filter by status, and see
+// deleted ones with ?deleted=true
+const MY_PRODUCTS_QUERY = {
+  ...PRODUCT_QUERY,
+  filters: {
+    ...PRODUCT_QUERY.filters,
+    status: { type: 'string', values: PRODUCT_STATUSES },
+    publishAt: 'date'
+  },
+  sort: [...PRODUCT_QUERY.sort, 'publishAt'],
+  select: [...PRODUCT_QUERY.select, 'status', 'publishAt'],
+  ignore: [...PRODUCT_QUERY.ignore, 'deleted']
+};
+
+// Admins see every product, and may filter by seller
+const ADMIN_PRODUCTS_QUERY = {
+  ...MY_PRODUCTS_QUERY,
+  filters: { ...MY_PRODUCTS_QUERY.filters, seller: 'objectId' }
+};
+
+// Fields of a product that sellers can set. Status changes go through the
+// lifecycle checks, and reviews and ratings only come from customers.
+const PRODUCT_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'images',
+  'category',
+  'stock',
+  'attributes',
+  'options',
+  'variants'
+];
+
+// Keep only the product fields the user may set. Only staff who manage every
+// product may choose its seller.
+const pickProduct = (body, user) =>
+  Object.fromEntries(
+    [...PRODUCT_FIELDS, ...(can({ user }, 'product.update.any') ? ['seller'] : [])]
+      .filter(field => body[field] !== undefined)
+      .map(field => [field, body[field]])
+  );
+
+// What the review list of a product can be filtered and sorted by
+const REVIEW_QUERY = {
+  filters: { rating: 'number' },
+  sort: ['createdAt', 'rating']
+};
+
+// Turn ?deleted=true or ?deleted=false into a condition on deletedAt, or
+// use the given default when it is not set
+const deletedFilter = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  if (value !== 'true' && value !== 'false') {
+    throw new ErrorResponse('deleted must be true or false', 400);
+  }
+
+  return { deletedAt: value === 'true' ? { $ne: null } : null };
+};
+
+// Build the product filter from the query string on top of the given base
+// filter. Attribute conditions are kept apart so facets can leave them out.
+const buildProductFilter = async (req, spec, baseFilter = {}) => {
+  const { filter: queryFilter, sort, select } = parseListQuery(req.query, spec);
+  const filter = { ...queryFilter, ...baseFilter };
+
+  // A category, given by id or slug, includes everything below it
+  let category;
+
+  if (req.query.category) {
+    category = await Category.findByIdOrSlug(req.query.category);
+
+    if (!category) {
+      throw new ErrorResponse(
+        `Category not found with id or slug of ${req.query.category}`,
+        404
+      );
+    }
+
+    filter.category = { $in: await Category.branchIds(category._id) };
+  }
+
+  // Attribute filters, e.g. attributes[brand]=Acme, and the facets to offer
+  const definitions = await filterableAttributes(category);
+  const attributeConditions = attributeFilter(
+    definitions,
+    typeof req.query.attributes === 'object' ? req.query.attributes : {}
+  );
+
+  return { filter, attributeConditions, definitions, sort, select };
+};
+
+// Send a filtered, sorted and paginated list of products. Query string
+// filters are applied on top of the given base filter.
+const sendProductList = async (req, res, spec, baseFilter = {}) => {
+  const { filter, attributeConditions, definitions, sort, select } =
+    await buildProductFilter(req, spec, baseFilter);
+  const productFilter = { ...filter, ...attributeConditions };
+  const options = pageOptions(req.query, { sort, limit: 12 });
+
+  const [page, facets] = await Promise.all([
+    cursorPage(
+      options,
+      ({ filter: position, sort: order, limit }) => {
+        const query = Product.find({ $and: [productFilter, position] })
+          .sort(order)
+          .limit(limit);
+
+        // The cursor needs the sort field even when it was not selected
+        return select ? query.select(`${select} ${options.field}`) : query;
+      },
+      () => Product.countDocuments(productFilter)
+    ),
+    facetCounts(filter, attributeConditions, definitions)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: page.data.length,
+    pagination: page.pagination,
+    facets,
+    data: page.data
+  });
+};
+
+// Replace the category given by id or slug with the id of an active category,
+// and check the product attributes against it. Attributes are checked when a
+// product is created or when its category or attributes change.
+const checkCategoryAttributes = async (body, product) => {
+  if (product && body.category === undefined && body.attributes === undefined) {
+    return;
+  }
+
+  // A missing category on a new product is reported by the model
+  if (!product && body.category === undefined) {
+    return;
+  }
+
+  const category = body.category !== undefined
+    ? await Category.findByIdOrSlug(body.category)
+    : await Category.findById(product.category);
+
+  if (!category || !category.isActive) {
+    throw new ErrorResponse('Please select a valid category', 400);
+  }
+
+  body.category = category._id;
+  body.attributes = validateAttributes(
+    await attributesFor(category),
+    body.attributes !== undefined ? body.attributes : product?.attributes
+  );
+};
+
 // @desc    Get all products
 // @route   GET /api/v1/products
 // @access  Public
 export const getProducts = asyncHandler(async (req, res, next) => {
-  // Copy req.query
-  const reqQuery = { ...req.query };
-
-  // Fields to exclude
-  const removeFields = ['select', 'sort', 'page', 'limit'];
+  await sendProductList(req, res, PRODUCT_QUERY, Product.visibleFilter());
+});
 
-  // Loop over removeFields and delete them from reqQuery
-  removeFields.forEach(param => delete reqQuery[param]);
+// @desc    Search products by keyword, best matches first
+// @route   GET /api/v1/products/search?q=
+// @access  Public
+export const searchProducts = asyncHandler(async (req, res, next) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
 
-  // Create query string
-  let queryStr = JSON.stringify(reqQuery);
+  if (!q) {
+    return next(new ErrorResponse('Please provide a search query', 400));
+  }
 
-  // Create operators ($gt, $gte, etc)
-  queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
+  if (q.length > MAX_QUERY_LENGTH) {
+    return next(
+      new ErrorResponse(`Search queries cannot be longer than ${MAX_QUERY_LENGTH} characters`, 400)
+    );
+  }
 
-  // Finding resource
-  let query = Product.find(JSON.parse(queryStr));
+  const { terms, search, correctedQuery } = await parseQuery(q);
 
-  // Select Fields
-  if (req.query.select) {
-    const fields = req.query.select.split(',').join(' ');
-    query = query.select(fields);
+  if (terms.length === 0) {
+    return next(new ErrorResponse('Please search for at least one word', 400));
   }
 
-  // Sort
-  if (req.query.sort) {
-    const sortBy = req.query.sort.split(',').join(' ');
-    query = query.sort(sortBy);
-  } else {
-    query = query.sort('-createdAt');
-  }
+  const filters = await buildProductFilter(req, PRODUCT_QUERY, Product.visibleFilter());
+
+  // $text must be part of every query the search runs, including the facets
+  filters.filter.$text = { $search: search };
 
-  // Pagination
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 12;
-  const startIndex = (page - 1) * limit;
-  const endIndex = page * limit;
-  const total = await Product.countDocuments(JSON.parse(queryStr));
+  const { filter, attributeConditions, definitions, sort, select } = filters;
+  const productFilter = { ...filter, ...attributeConditions };
 
-  query = query.skip(startIndex).limit(limit);
+  // Relevance scores cannot be used as a cursor, so search results are paged
+  // by page number
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 100);
 
-  // Executing query
-  const products = await query;
+  // Sort by relevance unless another order is asked for
+  let query = Product.find(productFilter)
+    .select({ score: { $meta: 'textScore' } })
+    .sort(sort || { score: { $meta: 'textScore' }, ratings: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  if (select) {
+    query = query.select(select);
+  }
+
+  const [total, facets, products] = await Promise.all([
+    Product.countDocuments(productFilter),
+    facetCounts(filter, attributeConditions, definitions),
+    query
+  ]);
 
   // Pagination result
-  const pagination = {};
+  const pagination = { limit, total };
 
-  if (endIndex < total) {
-    pagination.next = {
-      page: page + 1,
-      limit
-    };
+  if (page * limit < total) {
+    pagination.next = { page: page + 1, limit };
   }
 
-  if (startIndex > 0) {
-    pagination.prev = {
-      page: page - 1,
-      limit
-    };
+  if (page > 1) {
+    pagination.prev = { page: page - 1, limit };
   }
 
   res.status(200).json({
     success: true,
     count: products.length,
     pagination,
-    data: products
+    facets,
+    query: q,
+    correctedQuery,
+    data: products.map(product => ({
+      ...product.toJSON(),
+      highlights: {
+        name: highlight(product.name, terms),
+        description: highlight(product.description, terms, { snippet: true })
+      }
+    }))
+  });
+});
+
+// @desc    Suggest products and search terms while the customer types
+// @route   GET /api/v1/products/search/suggest?q=
+// @access  Public
+export const getSearchSuggestions = asyncHandler(async (req, res, next) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.slice(0, MAX_QUERY_LENGTH) : '';
+  const limit = Math.min(parseInt(req.query.limit, 10) || 8, 20);
+
+  res.status(200).json({
+    success: true,
+    data: await suggest(q, limit)
   });
 });
 
+// @desc    Get the logged in seller's products, including unpublished ones
+// @route   GET /api/v1/products/mine
+// @access  Private/Seller
+export const getMyProducts = asyncHandler(async (req, res, next) => {
+  await sendProductList(req, res, MY_PRODUCTS_QUERY, {
+    ...deletedFilter(req.query.deleted, { deletedAt: null }),
+    seller: req.user._id
+  });
+});
+
+// @desc    Get every product, including unpublished and deleted ones
+// @route   GET /api/v1/admin/products
+// @access  Private/Admin or API key with products:read
+export const getAllProducts = asyncHandler(async (req, res, next) => {
+  await sendProductList(req, res, ADMIN_PRODUCTS_QUERY, deletedFilter(req.query.deleted, {}));
+});
+
 // @desc    Get single product
 // @route   GET /api/v1/products/:id
 // @access  Public
 export const getProduct = asyncHandler(async (req, res, next) => {
-  const product = await Product.findById(req.params.id).populate({
-    path: 'reviews',
-    select: 'rating comment user createdAt',
-    populate: {
-      path: 'user',
-      select: 'name'
-    }
-  });
+  const product = await Product.findOne({ _id: req.params.id, ...Product.visibleFilter() })
+    .populate('category', 'name slug ancestors')
+    .populate({
+      path: 'reviews',
+      select: 'rating comment user createdAt',
+      populate: {
+        path: 'user',
+        select: 'name'
+      }
+    });
 
   if (!product) {
     return next(
@@ -103,12 +357,22 @@ export const getProduct = asyncHandler(async (req, res, next) => {
 
 // @desc    Create new product
 // @route   POST /api/v1/products
-// @access  Private/Admin
+// @access  Private/Seller/Admin
 export const createProduct = asyncHandler(async (req, res, next) => {
-  // Add user to req.body
-  req.body.seller = req.user.id;
+  const fields = pickProduct(req.body, req.user);
 
-  const product = await Product.create(req.body);
+  // Sellers always own what they create; staff may list one for a seller
+  if (!fields.seller) {
+    fields.seller = req.user.id;
+  }
+
+  await checkCategoryAttributes(fields);
+
+  // New products start as drafts unless they are scheduled or published
+  // right away
+  const product = new Product(fields);
+  product.transitionTo(req.body.status, req.body.publishAt);
+  await product.save();
 
   res.status(201).json({
     success: true,
@@ -118,83 +382,161 @@ export const createProduct = asyncHandler(async (req, res, next) => {
 
 // @desc    Update product
 // @route   PUT /api/v1/products/:id
-// @access  Private/Admin
+// @access  Private/Owner/Admin or API key with products:write
 export const updateProduct = asyncHandler(async (req, res, next) => {
-  let product = await Product.findById(req.params.id);
+  // The permit middleware has already loaded the product and checked access.
+  // Saving the document runs the variant checks and keeps stock totals.
+  const product = req.resource;
+  const fields = pickProduct(req.body, req.user);
+  await checkCategoryAttributes(fields, product);
+
+  // Status changes go through the lifecycle checks
+  const { status, publishAt } = req.body;
+  const previous = { status: product.status, publishAt: product.publishAt };
+
+  if (status !== undefined || publishAt !== undefined) {
+    product.transitionTo(status, publishAt);
+  }
 
-  if (!product) {
-    return next(
-      new ErrorResponse(`Product not found with id of ${req.params.id}`, 404)
-    );
+  product.set(fields);
+  await product.save();
+
+  if (
+    product.status !== previous.status ||
+    String(product.publishAt) !== String(previous.publishAt)
+  ) {
+    await AuditLog.record(req, {
+      action: 'product.status',
+      target: product._id,
+      targetModel: 'Product',
+      details: {
+        from: previous,
+        to: { status: product.status, publishAt: product.publishAt }
+      }
+    });
   }
 
-  // Make sure user is product owner or admin
-  if (product.seller.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(
-      new ErrorResponse(
-        `User ${req.user.id} is not authorized to update this product`,
-        401
-      )
-    );
+  res.status(200).json({ success: true, data: product });
+});
+
+// @desc    Delete product, keeping it in the trash so it can be restored
+// @route   DELETE /api/v1/products/:id
+// @access  Private/Owner/Admin
+export const deleteProduct = asyncHandler(async (req, res, next) => {
+  const product = req.resource;
+  await product.softDelete(req.user);
+
+  await AuditLog.record(req, {
+    action: 'product.delete',
+    target: product._id,
+    targetModel: 'Product',
+    details: { name: product.name, seller: product.seller }
+  });
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Restore a deleted product
+// @route   PUT /api/v1/products/:id/restore
+// @access  Private/Owner/Admin
+export const restoreProduct = asyncHandler(async (req, res, next) => {
+  const product = req.resource;
+
+  if (!product.deletedAt) {
+    return next(new ErrorResponse('Product is not deleted', 400));
   }
 
-  product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
+  await product.restore();
+
+  await AuditLog.record(req, {
+    action: 'product.restore',
+    target: product._id,
+    targetModel: 'Product',
+    details: { name: product.name, seller: product.seller }
   });
 
   res.status(200).json({ success: true, data: product });
 });
 
-// @desc    Delete product
-// @route   DELETE /api/v1/products/:id
-// @access  Private/Admin
-export const deleteProduct = asyncHandler(async (req, res, next) => {
-  const product = await Product.findById(req.params.id);
+// @desc    Set or adjust product stock
+// @route   PUT /api/v1/products/:id/stock
+// @access  Private/Owner/Admin or API key with inventory:write
+export const updateProductStock = asyncHandler(async (req, res, next) => {
+  const { stock, adjustment } = req.body;
+  const sku = req.body.sku && String(req.body.sku).toUpperCase();
+  const { _id, variants } = req.resource;
 
-  if (!product) {
+  // Products with variants keep stock per variant, addressed by SKU
+  if (variants.length > 0 && !sku) {
     return next(
-      new ErrorResponse(`Product not found with id of ${req.params.id}`, 404)
+      new ErrorResponse('Please provide the SKU of the variant to update', 400)
     );
   }
 
-  // Make sure user is product owner or admin
-  if (product.seller.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(
-      new ErrorResponse(
-        `User ${req.user.id} is not authorized to delete this product`,
-        401
-      )
-    );
+  if (sku && !variants.some(variant => variant.sku === sku)) {
+    return next(new ErrorResponse(`Variant not found with SKU of ${sku}`, 404));
   }
 
-  await product.remove();
+  const field = sku ? 'variants.$[variant].stock' : 'stock';
+  const filter = { _id };
+  let update;
 
-  res.status(200).json({ success: true, data: {} });
-});
+  if (stock !== undefined) {
+    if (!Number.isInteger(stock) || stock < 0) {
+      return next(
+        new ErrorResponse('Stock must be a whole number of zero or more', 400)
+      );
+    }
+    update = { $set: { [field]: stock } };
+  } else if (adjustment !== undefined) {
+    if (!Number.isInteger(adjustment)) {
+      return next(new ErrorResponse('Adjustment must be a whole number', 400));
+    }
+    update = { $inc: { [field]: adjustment } };
 
-// @desc    Upload photo for product
-// @route   PUT /api/v1/products/:id/photo
-// @access  Private/Admin
-export const productPhotoUpload = asyncHandler(async (req, res, next) => {
-  const product = await Product.findById(req.params.id);
+    // Never let an adjustment take stock below zero
+    if (adjustment < 0 && sku) {
+      filter.variants = { $elemMatch: { sku, stock: { $gte: -adjustment } } };
+    } else if (adjustment < 0) {
+      filter.stock = { $gte: -adjustment };
+    }
+  } else {
+    return next(new ErrorResponse('Please provide stock or adjustment', 400));
+  }
+
+  let product = await Product.findOneAndUpdate(filter, update, {
+    new: true,
+    runValidators: true,
+    arrayFilters: sku ? [{ 'variant.sku': sku }] : undefined
+  });
 
   if (!product) {
     return next(
-      new ErrorResponse(`Product not found with id of ${req.params.id}`, 404)
+      new ErrorResponse('Adjustment would take stock below zero', 400)
     );
   }
 
-  // Make sure user is product owner or admin
-  if (product.seller.toString() !== req.user.id && req.user.role !== 'admin') {
-    return next(
-      new ErrorResponse(
-        `User ${req.user.id} is not authorized to update this product`,
-        401
-      )
-    );
+  if (sku) {
+    await Product.syncVariantStock(_id);
+    product = await Product.findById(_id);
   }
 
+  await AuditLog.record(req, {
+    action: 'product.stock.update',
+    target: product._id,
+    targetModel: 'Product',
+    details: { sku, stock, adjustment, result: product.stock }
+  });
+
+  res.status(200).json({ success: true, data: product });
+});
+
+// @desc    Upload photo for product
+// @route   PUT /api/v1/products/:id/photo
+// @access  Private/Owner/Admin
+export const productPhotoUpload = asyncHandler(async (req, res, next) => {
+  const product = req.resource;
+
   if (!req.files) {
     return next(new ErrorResponse(`Please upload a file`, 400));
   }
@@ -253,6 +595,7 @@ export const getProductsInRadius = asyncHandler(async (req, res, next) => {
   const radius = distance / 3963;
 
   const products = await Product.find({
+    ...Product.visibleFilter(),
     location: { $geoWithin: { $centerSphere: [[lng, lat], radius] } }
   });
 
@@ -263,6 +606,49 @@ export const getProductsInRadius = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get the reviews of a product, newest first
+// @route   GET /api/v1/products/:id/reviews
+// @access  Public
+export const getProductReviews = asyncHandler(async (req, res, next) => {
+  const product = await Product.findOne(
+    { _id: req.params.id, ...Product.visibleFilter() },
+    '_id'
+  );
+
+  if (!product) {
+    return next(
+      new ErrorResponse(`Product not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const { filter, sort } = parseListQuery(req.query, REVIEW_QUERY);
+  const options = pageOptions(req.query, { sort, limit: 10 });
+
+  // Reviews are embedded in the product, so they are unwound to be paged
+  const reviews = (...stages) =>
+    Product.aggregate([
+      { $match: { _id: product._id } },
+      { $unwind: '$reviews' },
+      { $replaceRoot: { newRoot: '$reviews' } },
+      { $match: filter },
+      ...stages
+    ]);
+
+  const page = await cursorPage(
+    options,
+    ({ filter: position, sort: order, limit }) =>
+      reviews({ $match: position }, { $sort: order }, { $limit: limit }),
+    async () => (await reviews({ $count: 'total' }))[0]?.total || 0
+  );
+
+  res.status(200).json({
+    success: true,
+    count: page.data.length,
+    pagination: page.pagination,
+    data: page.data
+  });
+});
+
 // @desc    Create new review
 // @route   POST /api/v1/products/:id/reviews
 // @access  Private
@@ -270,18 +656,14 @@ export const createProductReview = asyncHandler(async (req, res, next) => {
   const { rating, comment } = req.body;
   const product = await Product.findById(req.params.id);
 
-  if (!product) {
+  if (!product || !product.isVisible()) {
     return next(
       new ErrorResponse(`Product not found with id of ${req.params.id}`, 404)
     );
   }
 
   // Check if the user already reviewed the product
-  const alreadyReviewed = product.reviews.find(
-    r => r.user.toString() === req.user.id
-  );
-
-  if (alreadyReviewed) {
+  if (product.isReviewedBy(req.user._id)) {
     return next(
       new ErrorResponse('Product already reviewed by this user', 400)
     );
@@ -302,6 +684,9 @@ export const createProductReview = asyncHandler(async (req, res, next) => {
 
   await product.save({ validateBeforeSave: false });
 
+  // Keep the seller's storefront rating in step with their products
+  await Seller.updateRating(product.seller);
+
   res.status(201).json({
     success: true,
     data: product.reviews
@@ -312,7 +697,9 @@ export const createProductReview = asyncHandler(async (req, res, next) => {
 // @route   GET /api/v1/products/top
 // @access  Public
 export const getTopProducts = asyncHandler(async (req, res, next) => {
-  const products = await Product.find({}).sort({ rating: -1 }).limit(5);
+  const products = await Product.find(Product.visibleFilter())
+    .sort({ ratings: -1 })
+    .limit(5);
 
   res.status(200).json({
     success: true,
@@ -0,0 +1,314 @@
+import path from 'path';
+import Seller from '../models/Seller.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { uploadFile, deleteFile } from '../services/s3Service.js';
+import ErrorResponse from '../utils/errorResponse.js';
+import asyncHandler from '../middleware/async.js';
+
+// Profile fields sellers can edit themselves
+const PROFILE_FIELDS = ['storeName', 'description', 'returnPolicy'];
+
+// Fields shown on the public storefront
+const PUBLIC_FIELDS = 'storeName slug logo.url description returnPolicy rating numOfReviews createdAt';
+
+// Keep only the profile fields a seller may set
+const pickProfile = (body) =>
+  Object.fromEntries(
+    PROFILE_FIELDS.filter(field => body[field] !== undefined).map(field => [
+      field,
+      body[field]
+    ])
+  );
+
+// Give a seller's user account a new role and record it in the role history
+const changeRole = async (req, user, role, reason) => {
+  const previousRole = user.role;
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, {
+    action: 'user.role.update',
+    target: user._id,
+    details: { from: previousRole, to: role, reason }
+  });
+};
+
+// Reject or suspend a seller. Their account loses the seller role, so they
+// can no longer manage products until they are approved again, and their
+// products are hidden from customers.
+const deactivateSeller = async (req, res, next, status) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    return next(new ErrorResponse('Please provide a reason', 400));
+  }
+
+  const seller = await Seller.findById(req.params.id);
+
+  if (!seller) {
+    return next(
+      new ErrorResponse(`Seller not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  seller.status = status;
+  seller.statusReason = reason;
+  seller.reviewedBy = req.user._id;
+  seller.reviewedAt = Date.now();
+  await seller.save();
+
+  // Staff who also sell keep their role
+  const user = await User.findById(seller.user);
+
+  if (user && user.role === 'seller') {
+    await changeRole(req, user, 'customer', reason);
+  }
+
+  await Product.setSellerSuspended(seller.user, true);
+
+  await AuditLog.record(req, {
+    action: status === 'rejected' ? 'seller.reject' : 'seller.suspend',
+    target: seller._id,
+    targetModel: 'Seller',
+    details: { reason }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: seller
+  });
+};
+
+// @desc    Get a seller's public storefront
+// @route   GET /api/v1/sellers/:slug
+// @access  Public
+export const getSellerBySlug = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findOne({
+    slug: req.params.slug,
+    status: 'approved'
+  }).select(`${PUBLIC_FIELDS} user`);
+
+  if (!seller) {
+    return next(
+      new ErrorResponse(`Seller not found with slug of ${req.params.slug}`, 404)
+    );
+  }
+
+  // Pagination
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 100);
+  const filter = { ...Product.visibleFilter(), seller: seller.user };
+
+  const [total, products] = await Promise.all([
+    Product.countDocuments(filter),
+    Product.find(filter)
+      .select('-reviews')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  const profile = seller.toObject();
+  delete profile.user;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...profile,
+      products: {
+        total,
+        page,
+        limit,
+        data: products
+      }
+    }
+  });
+});
+
+// @desc    Apply to sell on the marketplace
+// @route   POST /api/v1/sellers
+// @access  Private
+export const applyAsSeller = asyncHandler(async (req, res, next) => {
+  if (await Seller.exists({ user: req.user._id })) {
+    return next(
+      new ErrorResponse('You already have a seller profile', 400)
+    );
+  }
+
+  const seller = await Seller.create({
+    ...pickProfile(req.body),
+    user: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: seller
+  });
+});
+
+// @desc    Get the logged in user's seller profile
+// @route   GET /api/v1/sellers/me
+// @access  Private
+export const getMySellerProfile = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findOne({ user: req.user._id });
+
+  if (!seller) {
+    return next(new ErrorResponse('You do not have a seller profile', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: seller
+  });
+});
+
+// @desc    Update the logged in user's seller profile
+// @route   PUT /api/v1/sellers/me
+// @access  Private
+export const updateMySellerProfile = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findOne({ user: req.user._id });
+
+  if (!seller) {
+    return next(new ErrorResponse('You do not have a seller profile', 404));
+  }
+
+  seller.set(pickProfile(req.body));
+
+  // Editing a rejected application sends it back for review
+  if (seller.status === 'rejected') {
+    seller.status = 'pending';
+    seller.statusReason = undefined;
+  }
+
+  await seller.save();
+
+  res.status(200).json({
+    success: true,
+    data: seller
+  });
+});
+
+// @desc    Upload the logged in seller's logo
+// @route   PUT /api/v1/sellers/me/logo
+// @access  Private
+export const uploadSellerLogo = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findOne({ user: req.user._id });
+
+  if (!seller) {
+    return next(new ErrorResponse('You do not have a seller profile', 404));
+  }
+
+  if (!req.files || !req.files.file) {
+    return next(new ErrorResponse(`Please upload a file`, 400));
+  }
+
+  const file = req.files.file;
+
+  // Make sure the image is a photo
+  if (!file.mimetype.startsWith('image')) {
+    return next(new ErrorResponse(`Please upload an image file`, 400));
+  }
+
+  // Check filesize
+  if (file.size > process.env.MAX_FILE_UPLOAD) {
+    return next(
+      new ErrorResponse(
+        `Please upload an image less than ${process.env.MAX_FILE_UPLOAD}`,
+        400
+      )
+    );
+  }
+
+  const result = await uploadFile({
+    buffer: file.data,
+    originalname: `logo_${seller._id}${path.parse(file.name).ext}`,
+    mimetype: file.mimetype
+  });
+
+  const previousKey = seller.logo?.key;
+  seller.logo = { url: result.Location, key: result.Key };
+  await seller.save();
+
+  // The old logo is no longer referenced anywhere
+  if (previousKey) {
+    await deleteFile(previousKey).catch(() => {});
+  }
+
+  res.status(200).json({
+    success: true,
+    data: seller.logo
+  });
+});
+
+// @desc    List sellers, e.g. applications waiting for review
+// @route   GET /api/v1/sellers?status=pending
+// @access  Private/Admin
+export const getSellers = asyncHandler(async (req, res, next) => {
+  const filter = req.query.status ? { status: String(req.query.status) } : {};
+
+  const sellers = await Seller.find(filter)
+    .populate('user', 'name email role')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sellers.length,
+    data: sellers
+  });
+});
+
+// @desc    Approve a seller and give their account the seller role
+// @route   PUT /api/v1/sellers/:id/approve
+// @access  Private/Admin
+export const approveSeller = asyncHandler(async (req, res, next) => {
+  const seller = await Seller.findById(req.params.id);
+
+  if (!seller) {
+    return next(
+      new ErrorResponse(`Seller not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  seller.status = 'approved';
+  seller.statusReason = undefined;
+  seller.reviewedBy = req.user._id;
+  seller.reviewedAt = Date.now();
+  await seller.save();
+
+  // Staff who also sell keep their role
+  const user = await User.findById(seller.user);
+
+  if (user && user.role === 'customer') {
+    await changeRole(req, user, 'seller', 'Seller application approved');
+  }
+
+  // Products hidden while the seller was suspended are shown again
+  await Product.setSellerSuspended(seller.user, false);
+
+  await AuditLog.record(req, {
+    action: 'seller.approve',
+    target: seller._id,
+    targetModel: 'Seller'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: seller
+  });
+});
+
+// @desc    Reject a seller application
+// @route   PUT /api/v1/sellers/:id/reject
+// @access  Private/Admin
+export const rejectSeller = asyncHandler(async (req, res, next) => {
+  await deactivateSeller(req, res, next, 'rejected');
+});
+
+// @desc    Suspend a seller, hiding their storefront
+// @route   PUT /api/v1/sellers/:id/suspend
+// @access  Private/Admin
+export const suspendSeller = asyncHandler(async (req, res, next) => {
+  await deactivateSeller(req, res, next, 'suspended');
+});
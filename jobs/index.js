@@ -0,0 +1,65 @@
+import { processScheduledDeletions } from '../services/accountService.js';
+import { generateStatements } from '../services/ledgerService.js';
+import Product from '../models/Product.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Background jobs run on a fixed interval inside the API process.
+ * Set JOBS_ENABLED=false on instances that should not run them.
+ */
+const jobs = [
+  {
+    name: 'account-deletion',
+    intervalMs: 60 * 60 * 1000, // hourly
+    run: processScheduledDeletions,
+  },
+  {
+    name: 'payout-statements',
+    intervalMs: 6 * 60 * 60 * 1000, // every six hours
+    run: () => generateStatements(),
+  },
+  {
+    name: 'publish-scheduled-products',
+    intervalMs: 60 * 1000, // every minute
+    run: () => Product.publishScheduled(),
+  },
+];
+
+/**
+ * Runs a job once, logging instead of throwing on failure
+ * @param {Object} job - Job definition
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  try {
+    const result = await job.run();
+    if (result) {
+      logger.info(`Job ${job.name} processed ${result} item(s)`);
+    }
+  } catch (error) {
+    logger.error(`Job ${job.name} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Starts every job: once right away, then on its interval
+ * @returns {Function} - Stops the jobs
+ */
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    return () => {};
+  }
+
+  const timers = jobs.map((job) => {
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    // Do not keep the process alive just for jobs
+    timer.unref();
+    return timer;
+  });
+
+  return () => timers.forEach(clearInterval);
+};
+
+// Export the job runner
+export { jobs, runJob, startJobs };
@@ -1,9 +1,14 @@
 import jwt from 'jsonwebtoken';
 import ErrorResponse from '../utils/errorResponse.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { findActiveApiKey } from '../services/apiKeyService.js';
+import { can } from '../policies/permissions.js';
+import asyncHandler from './async.js';
 
-// Protect routes
-export const protect = async (req, res, next) => {
+// Resolve the user behind the request's access token. Returns an error
+// instead of calling next so callers can layer extra checks on top.
+const authenticate = async (req) => {
   let token;
 
   if (
@@ -20,82 +25,164 @@ export const protect = async (req, res, next) => {
 
   // Make sure token exists
   if (!token) {
-    return next(new ErrorResponse('Not authorized to access this route', 401));
+    return new ErrorResponse('Not authorized to access this route', 401);
   }
 
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Make sure the session behind the token has not been revoked
+    const session = decoded.sid && (await Session.findById(decoded.sid));
+
+    if (!session || !session.isActive || !session.user.equals(decoded.id)) {
+      return new ErrorResponse('Session has expired or been revoked', 401);
+    }
+
     req.user = await User.findById(decoded.id);
-    next();
+
+    if (!req.user) {
+      return new ErrorResponse('Not authorized to access this route', 401);
+    }
+
+    if (req.user.isSuspended()) {
+      return new ErrorResponse('Your account has been suspended', 403);
+    }
+
+    req.authSession = session;
+    req.impersonator = session.impersonator;
+    return null;
   } catch (err) {
-    return next(new ErrorResponse('Not authorized to access this route', 401));
+    return new ErrorResponse('Not authorized to access this route', 401);
   }
 };
 
-// Grant access to specific roles
-export const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+// Resolve the API key sent in the X-API-Key header. Keys act on their own
+// behalf, so req.user stays unset and access is decided by the key's scopes.
+const authenticateApiKey = async (req, rawKey) => {
+  const apiKey = await findActiveApiKey(rawKey, req);
+
+  if (!apiKey) {
+    return new ErrorResponse('API key is invalid, expired or revoked', 401);
+  }
+
+  req.apiKey = apiKey;
+  return null;
+};
+
+// Protect routes with options. Requests already authenticated by an earlier
+// protect in the chain only have the extra options checked.
+//   requireVerified     - reject users who have not verified their email address
+//   allowTwoFactorSetup - let users whose role requires two-factor
+//                         authentication in before they have enrolled
+//   allowImpersonation  - set to false for account security routes that
+//                         staff impersonating a user must not use
+//   allowApiKey         - also accept an X-API-Key header; combine with
+//                         permit() so the key's scopes are checked
+export const protectWith = ({
+  requireVerified = false,
+  allowTwoFactorSetup = false,
+  allowImpersonation = true,
+  allowApiKey = false
+} = {}) => {
+  return async (req, res, next) => {
+    if (!req.user && !req.apiKey) {
+      const rawKey = req.get('x-api-key');
+      const error = rawKey
+        ? await authenticateApiKey(req, rawKey)
+        : await authenticate(req);
+
+      if (error) {
+        return next(error);
+      }
+    }
+
+    // None of the user checks below apply to API keys
+    if (req.apiKey) {
+      if (!allowApiKey) {
+        return next(
+          new ErrorResponse('API keys cannot be used on this route', 403)
+        );
+      }
+
+      return next();
+    }
+
+    if (!allowImpersonation && req.impersonator) {
+      return next(
+        new ErrorResponse('This route is not available while impersonating a user', 403)
+      );
+    }
+
+    if (
+      !allowTwoFactorSetup &&
+      !req.user.twoFactor?.enabled &&
+      req.user.role !== 'customer' &&
+      (await User.isTwoFactorRequired(req.user.role))
+    ) {
+      return next(
+        new ErrorResponse(
+          'Two-factor authentication is required for your role, please set it up at /api/v1/auth/2fa/setup',
+          403
+        )
+      );
+    }
+
+    if (requireVerified && !req.user.isEmailVerified) {
       return next(
         new ErrorResponse(
-          `User role ${req.user.role} is not authorized to access this route`,
+          'Please verify your email address to access this route',
           403
         )
       );
     }
+
     next();
   };
 };
 
-// Check if user is the owner of the resource or an admin
-export const checkOwnership = (model, paramName = 'id') => {
-  return async (req, res, next) => {
-    try {
-      const resource = await model.findById(req.params[paramName]);
+// Protect routes
+export const protect = protectWith();
 
-      if (!resource) {
+// Grant access when the policy allows the permission. With a model, the
+// document named by the route parameter is loaded into req.resource first so
+// `.own` permissions can be checked against it, e.g.
+// permit('product.update', { model: Product }). A resource function picks
+// the part of the document to check instead, such as one embedded shipment.
+export const permit = (permission, { model, param = 'id', resource } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    const principal = { user: req.user, apiKey: req.apiKey };
+    let target;
+
+    if (model) {
+      const document = await model.findById(req.params[param]);
+
+      if (!document) {
         return next(
           new ErrorResponse(
-            `Resource not found with id of ${req.params[paramName]}`,
+            `${model.modelName} not found with id of ${req.params[param]}`,
             404
           )
         );
       }
 
-      // Check if user is resource owner or admin
-      if (
-        resource.user.toString() !== req.user.id &&
-        req.user.role !== 'admin'
-      ) {
-        return next(
-          new ErrorResponse(
-            `User ${req.user.id} is not authorized to update this resource`,
-            401
-          )
-        );
-      }
+      req.resource = document;
+      target = resource ? resource(document, req) : document;
 
-      req.resource = resource;
-      next();
-    } catch (error) {
-      next(error);
+      if (!target) {
+        return next(new ErrorResponse('Resource not found', 404));
+      }
     }
-  };
-};
 
-// Grant access to specific users
-export const authorizeUser = (userId) => {
-  return (req, res, next) => {
-    if (req.user.id !== userId && req.user.role !== 'admin') {
+    if (!can(principal, permission, target)) {
+      const who = req.apiKey
+        ? `API key ${req.apiKey.prefix}`
+        : `User ${req.user.id}`;
+
       return next(
-        new ErrorResponse(
-          `User ${req.user.id} is not authorized to access this route`,
-          403
-        )
+        new ErrorResponse(`${who} is not authorized to access this route`, 403)
       );
     }
+
     next();
-  };
-};
+  });
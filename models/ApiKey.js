@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Permissions an API key can be granted
+export const SCOPES = [
+  'orders:read',
+  'orders:write',
+  'products:read',
+  'products:write',
+  'inventory:write'
+];
+
+/**
+ * A key used by another system (warehouse, ERP) to call the API without a
+ * user session. Only a hash of the key is stored; the key itself is shown
+ * once when it is created.
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name for the API key'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Leading characters of the key, so it can be recognised in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: SCOPES,
+        message: '{VALUE} is not a valid scope'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Please add at least one scope'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Method to revoke this key
+apiKeySchema.methods.revoke = function(userId) {
+  this.revokedAt = new Date();
+  this.revokedBy = userId;
+  return this.save();
+};
+
+// Create and export the ApiKey model
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Staff member who performed the action while impersonating the actor
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // API key used when the action was performed by an integration
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel'
+  },
+  targetModel: {
+    type: String,
+    default: 'User'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ target: 1, action: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static method to record an action performed during a request
+auditLogSchema.statics.record = function(req, { action, target, targetModel, details }) {
+  return this.create({
+    action,
+    actor: req.user?._id,
+    impersonator: req.impersonator,
+    apiKey: req.apiKey?._id,
+    target,
+    targetModel,
+    details,
+    ip: req.ip
+  });
+};
+
+// Create and export the AuditLog model
+export default mongoose.model('AuditLog', auditLogSchema);
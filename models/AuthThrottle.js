@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counts attempts against a key (an account, an IP address) within a time
+ * window and blocks the key for a while once a policy's limits are reached.
+ */
+const authThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove entries once neither the window nor a lock applies
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Records an attempt against a key
+ * @param {string} key - What is being throttled, e.g. `login:ip:1.2.3.4`
+ * @param {Object} policy
+ * @param {number} policy.windowMs - How long attempts are counted for
+ * @param {number} policy.freeAttempts - Attempts allowed before delays start
+ * @param {number} policy.maxAttempts - Attempts allowed before a lockout
+ * @param {number} policy.lockMs - Length of a lockout
+ * @param {number} [policy.maxDelayMs] - Cap for the doubling delay before lockout
+ * @returns {Promise<{ count: number, lockedUntil: ?Date, lockedOut: boolean }>}
+ */
+authThrottleSchema.statics.hit = async function(key, policy) {
+  const now = Date.now();
+
+  // Start a new window once the previous one and any lock have passed
+  await this.updateOne(
+    {
+      key,
+      windowStart: { $lt: new Date(now - policy.windowMs) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date(now) } }]
+    },
+    { $set: { count: 0, windowStart: new Date(now), lockedUntil: null } }
+  );
+
+  const entry = await this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: { windowStart: new Date(now) },
+      $set: { expiresAt: new Date(now + policy.windowMs + policy.lockMs) }
+    },
+    { new: true, upsert: true }
+  );
+
+  let blockMs = 0;
+  const lockedOut = entry.count === policy.maxAttempts;
+
+  if (entry.count >= policy.maxAttempts) {
+    blockMs = policy.lockMs;
+  } else if (entry.count > policy.freeAttempts) {
+    // Double the wait after every attempt past the free ones
+    blockMs = Math.min(
+      1000 * 2 ** (entry.count - policy.freeAttempts - 1),
+      policy.maxDelayMs ?? policy.lockMs
+    );
+  }
+
+  if (blockMs) {
+    entry.lockedUntil = new Date(now + blockMs);
+    await entry.save();
+  }
+
+  return { count: entry.count, lockedUntil: entry.lockedUntil, lockedOut };
+};
+
+/**
+ * Gets how long the caller has to wait before any of the keys may be used
+ * @param {string[]} keys - Keys to check
+ * @returns {Promise<number>} - Seconds to wait, 0 when none are blocked
+ */
+authThrottleSchema.statics.retryAfter = async function(keys) {
+  const blocked = await this.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  const until = Math.max(0, ...blocked.map(entry => entry.lockedUntil.getTime()));
+
+  return until ? Math.ceil((until - Date.now()) / 1000) : 0;
+};
+
+// Create and export the AuthThrottle model
+export default mongoose.model('AuthThrottle', authThrottleSchema);
@@ -6,6 +6,13 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // The chosen variant, for products that have them
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  options: {
+    type: Map,
+    of: String
+  },
   name: {
     type: String,
     required: true
@@ -26,6 +33,12 @@ const cartItemSchema = new mongoose.Schema({
   }
 });
 
+// Whether a cart line holds a product and variant. The product of a line may
+// be populated.
+const isSameLine = (item, productId, variantId) =>
+  String(item.product._id || item.product) === String(productId) &&
+  String(item.variant || '') === String(variantId || '');
+
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -74,23 +87,25 @@ cartSchema.statics.getOrCreateCart = async function(userId) {
     cart = await this.create({ user: userId, items: [] });
   }
   
-  return cart.populate('items.product', 'name price images stock');
+  return cart.populate('items.product', 'name price images stock variants');
 };
 
 // Method to add item to cart
-cartSchema.methods.addItem = async function(productId, quantity = 1) {
+cartSchema.methods.addItem = async function(productId, quantity = 1, variantId) {
   const product = await mongoose.model('Product').findById(productId);
   
-  if (!product) {
+  if (!product || !product.isVisible()) {
     throw new Error('Product not found');
   }
+
+  const variant = product.resolveVariant(variantId);
   
-  if (product.stock < quantity) {
+  if (product.stockFor(variant) < quantity) {
     throw new Error('Not enough stock available');
   }
   
   const itemIndex = this.items.findIndex(
-    item => item.product.toString() === productId
+    item => isSameLine(item, productId, variant?._id)
   );
   
   if (itemIndex > -1) {
@@ -100,9 +115,12 @@ cartSchema.methods.addItem = async function(productId, quantity = 1) {
     // Add new item to cart
     this.items.push({
       product: productId,
+      variant: variant?._id,
+      sku: variant?.sku,
+      options: variant?.options,
       name: product.name,
-      price: product.price,
-      image: product.images[0]?.url || '',
+      price: product.priceFor(variant),
+      image: variant?.images[0]?.url || product.images[0]?.url || '',
       quantity: quantity
     });
   }
@@ -110,23 +128,26 @@ cartSchema.methods.addItem = async function(productId, quantity = 1) {
   return this.save();
 };
 
-// Method to remove item from cart
-cartSchema.methods.removeItem = function(productId) {
-  this.items = this.items.filter(
-    item => item.product.toString() !== productId
+// Method to remove item from cart. Without a variant, every variant of the
+// product is removed.
+cartSchema.methods.removeItem = function(productId, variantId) {
+  this.items = this.items.filter(item =>
+    variantId
+      ? !isSameLine(item, productId, variantId)
+      : String(item.product._id || item.product) !== String(productId)
   );
   
   return this.save();
 };
 
 // Method to update item quantity
-cartSchema.methods.updateItemQuantity = function(productId, quantity) {
+cartSchema.methods.updateItemQuantity = function(productId, quantity, variantId) {
   if (quantity < 1) {
-    return this.removeItem(productId);
+    return this.removeItem(productId, variantId);
   }
   
   const item = this.items.find(
-    item => item.product.toString() === productId
+    item => isSameLine(item, productId, variantId)
   );
   
   if (item) {
@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import slugify from '../utils/slugify.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+// Kinds of value a product attribute can hold
+export const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select'];
+
+// A structured attribute products in a category can have, e.g. brand or ISBN
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Attribute key is required'],
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Attribute keys may only contain letters, digits and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Attribute label is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    default: 'text'
+  },
+  // The values a select attribute allows
+  options: [{ type: String, trim: true }],
+  unit: String,
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Whether the storefront can filter by the attribute
+  filterable: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+/**
+ * A node of the product category tree. Each category stores the ids of all
+ * its ancestors, root first, so a whole branch can be found with one query.
+ * Attributes defined on a category apply to the categories below it too.
+ */
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a category name'],
+    trim: true,
+    maxlength: [100, 'Category name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  image: {
+    url: String,
+    alt: String
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  attributes: [attributeSchema],
+  // Position among siblings, lowest first
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+// Create a unique slug from the name. The slug is kept when the category is
+// renamed so existing links keep working.
+categorySchema.pre('validate', async function(next) {
+  if (this.slug) {
+    return next();
+  }
+
+  const base = slugify(this.name) || 'category';
+  let slug = base;
+  let suffix = 1;
+
+  while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+    suffix += 1;
+    slug = `${base}-${suffix}`;
+  }
+
+  this.slug = slug;
+  next();
+});
+
+// Check that attribute keys are unique and select attributes have options
+categorySchema.pre('validate', function(next) {
+  const keys = new Set();
+
+  for (const attribute of this.attributes) {
+    if (keys.has(attribute.key)) {
+      this.invalidate('attributes', `Duplicate attribute ${attribute.key}`);
+    }
+    if (attribute.type === 'select' && attribute.options.length === 0) {
+      this.invalidate('attributes', `Attribute ${attribute.key} needs at least one option`);
+    }
+    keys.add(attribute.key);
+  }
+  next();
+});
+
+// Work out the ancestors from the parent, refusing to move a category
+// below itself
+categorySchema.pre('save', async function(next) {
+  if (!this.isModified('parent')) {
+    return next();
+  }
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return next();
+  }
+
+  const parent = await this.constructor.findById(this.parent);
+
+  if (!parent) {
+    return next(new ErrorResponse(`Parent category not found with id of ${this.parent}`, 400));
+  }
+
+  if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    return next(new ErrorResponse('A category cannot be moved below itself', 400));
+  }
+
+  this.ancestors = [...parent.ancestors, parent._id];
+  this.$locals.moved = !this.isNew;
+  next();
+});
+
+// Descendants of a moved category take over its new ancestors
+categorySchema.post('save', async function() {
+  if (!this.$locals.moved) {
+    return;
+  }
+
+  this.$locals.moved = false;
+
+  const descendants = await this.constructor.find({ ancestors: this._id }, 'ancestors');
+
+  await Promise.all(
+    descendants.map(descendant => {
+      const below = descendant.ancestors.slice(
+        descendant.ancestors.findIndex(id => id.equals(this._id))
+      );
+
+      return this.constructor.updateOne(
+        { _id: descendant._id },
+        { $set: { ancestors: [...this.ancestors, ...below] } }
+      );
+    })
+  );
+});
+
+// Static method to find a category by id or slug
+categorySchema.statics.findByIdOrSlug = function(value) {
+  return mongoose.isValidObjectId(value)
+    ? this.findById(value)
+    : this.findOne({ slug: String(value).toLowerCase() });
+};
+
+// Static method to list the ids of a category and everything below it
+categorySchema.statics.branchIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).distinct('_id');
+  return [categoryId, ...descendants];
+};
+
+// Static method to nest a flat list of categories under their parents.
+// Categories whose parent is not in the list become roots.
+categorySchema.statics.buildTree = function(categories) {
+  const nodes = new Map(
+    categories.map(category => [
+      String(category._id),
+      { ...(category.toObject ? category.toObject() : category), children: [] }
+    ])
+  );
+  const roots = [];
+
+  const bySortOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+
+  for (const node of nodes.values()) {
+    node.children.sort(bySortOrder);
+  }
+
+  return roots.sort(bySortOrder);
+};
+
+// Create and export the Category model
+export default mongoose.model('Category', categorySchema);
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Platform commission taken from seller sales, as a percentage. The most
+ * specific active rule wins: seller, then category, then the global rule.
+ * A category rule also covers the categories below it.
+ */
+const commissionRuleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    required: true,
+    enum: ['global', 'category', 'seller']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: function() {
+      return this.scope === 'category';
+    }
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return this.scope === 'seller';
+    }
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Please add a commission rate'],
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot be more than 100']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Only one active rule per global, category or seller scope
+commissionRuleSchema.index(
+  { scope: 1, category: 1, seller: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Static method to pick the rate for a sale from a list of active rules.
+// `categories` lists the product's category and its ancestors, nearest first,
+// so the rule of the closest category wins.
+commissionRuleSchema.statics.rateFor = function(rules, { seller, categories = [] }) {
+  const categoryRule = categories
+    .map(category =>
+      rules.find(rule => rule.scope === 'category' && String(rule.category) === String(category))
+    )
+    .find(Boolean);
+
+  const match =
+    rules.find(rule => rule.scope === 'seller' && String(rule.seller) === String(seller)) ||
+    categoryRule ||
+    rules.find(rule => rule.scope === 'global');
+
+  return match ? match.rate : Number(process.env.PLATFORM_COMMISSION_RATE || 10);
+};
+
+// Create and export the CommissionRule model
+export default mongoose.model('CommissionRule', commissionRuleSchema);
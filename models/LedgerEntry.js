@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+/**
+ * One movement of money owed to a seller. Sales are positive; refunds and
+ * chargebacks are negative entries that mirror the sale they reverse.
+ * Entries are never edited, and are settled by attaching them to a payout
+ * statement.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['sale', 'refund', 'chargeback']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: String,
+  // The order line the entry is for
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  description: String,
+  quantity: Number,
+  // Price paid by the customer for the line
+  amount: {
+    type: Number,
+    required: true
+  },
+  commissionRate: {
+    type: Number,
+    required: true
+  },
+  // Platform share of the amount
+  commission: {
+    type: Number,
+    required: true
+  },
+  // What the seller is owed: amount less commission
+  net: {
+    type: Number,
+    required: true
+  },
+  reason: String,
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutStatement',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A line can only be sold, refunded or charged back once
+ledgerEntrySchema.index({ orderItem: 1, type: 1 }, { unique: true });
+ledgerEntrySchema.index({ seller: 1, statement: 1, createdAt: 1 });
+
+// Create and export the LedgerEntry model
+export default mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -22,10 +22,23 @@ const orderItemSchema = new mongoose.Schema({
   price: {
     type: Number,
     required: true
+  },
+  // The variant bought, with its SKU and option values at order time
+  variant: mongoose.Schema.Types.ObjectId,
+  sku: String,
+  options: {
+    type: Map,
+    of: String
+  },
+  // Seller of the product when the order was placed
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 });
 
 const shippingInfoSchema = new mongoose.Schema({
+  fullName: String,
   address: {
     type: String,
     required: [true, 'Address is required']
@@ -100,6 +113,80 @@ const trackingUpdateSchema = new mongoose.Schema({
   }
 });
 
+// Statuses of a whole order
+export const ORDER_STATUSES = ['Processing', 'Shipped', 'Delivered', 'Cancelled', 'Returned'];
+
+// Statuses a shipment moves through, in order. Shipments only move forward
+// and can only be cancelled before they have shipped and the order is paid.
+const SHIPMENT_FLOW = [
+  'Processing',
+  'Shipped',
+  'In Transit',
+  'Out for Delivery',
+  'Delivered',
+  'Returned'
+];
+
+// The items of an order sent by one seller, fulfilled independently of the
+// rest of the order
+const shipmentSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Ids of the order items in this shipment
+  items: [mongoose.Schema.Types.ObjectId],
+  status: {
+    type: String,
+    default: 'Processing',
+    enum: [...SHIPMENT_FLOW, 'Cancelled']
+  },
+  trackingNumber: {
+    type: String,
+    default: ''
+  },
+  trackingUpdates: [trackingUpdateSchema],
+  shippedAt: Date,
+  deliveredAt: Date
+});
+
+// Check whether the shipment may move to a status. Cancelling would leave
+// the seller's ledger sale and the customer's payment in place, so paid
+// orders have to be refunded instead.
+shipmentSchema.methods.canMoveTo = function(status) {
+  if (status === 'Cancelled') {
+    return this.status === 'Processing' && !this.ownerDocument().isPaid;
+  }
+
+  const from = SHIPMENT_FLOW.indexOf(this.status);
+  return from !== -1 && SHIPMENT_FLOW.indexOf(status) > from;
+};
+
+// Move the shipment to a new status and record a tracking update
+shipmentSchema.methods.updateStatus = function(status, { trackingNumber, location, details } = {}) {
+  this.status = status;
+
+  if (trackingNumber) {
+    this.trackingNumber = trackingNumber;
+  }
+
+  if (!this.shippedAt && SHIPMENT_FLOW.indexOf(status) >= 1) {
+    this.shippedAt = Date.now();
+  }
+
+  if (status === 'Delivered') {
+    this.deliveredAt = Date.now();
+  }
+
+  this.trackingUpdates.unshift({
+    date: new Date(),
+    status,
+    location: location || 'Processing Center',
+    details: details || `Shipment status updated to ${status}`
+  });
+};
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
@@ -109,10 +196,20 @@ const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.isAnonymized;
+    }
   },
+  // Set when the customer deleted their account; the order is kept for
+  // accounting with personal details removed
+  isAnonymized: {
+    type: Boolean,
+    default: false
+  },
+  anonymizedAt: Date,
   orderItems: [orderItemSchema],
   shippingInfo: shippingInfoSchema,
+  billingInfo: shippingInfoSchema,
   paymentInfo: paymentInfoSchema,
   itemsPrice: {
     type: Number,
@@ -138,13 +235,7 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: true,
     default: 'Processing',
-    enum: [
-      'Processing',
-      'Shipped',
-      'Delivered',
-      'Cancelled',
-      'Returned'
-    ]
+    enum: ORDER_STATUSES
   },
   deliveredAt: Date,
   trackingNumber: {
@@ -152,6 +243,8 @@ const orderSchema = new mongoose.Schema({
     default: ''
   },
   trackingUpdates: [trackingUpdateSchema],
+  // One shipment per seller; when present, orderStatus follows them
+  shipments: [shipmentSchema],
   isPaid: {
     type: Boolean,
     required: true,
@@ -177,17 +270,71 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
-// Update product stock when order is placed
-orderSchema.pre('save', async function(next) {
-  if (this.isModified('orderStatus') && this.orderStatus === 'Processing') {
-    const bulkOps = this.orderItems.map(item => ({
-      updateOne: {
-        filter: { _id: item.product },
-        update: { $inc: { stock: -item.quantity } }
+orderSchema.index({ 'shipments.seller': 1, createdAt: -1 });
+
+// Cursor pagination orders by createdAt with _id as a tie-breaker
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+// Method to group the order items into one shipment per seller
+orderSchema.methods.splitIntoShipments = function() {
+  const bySeller = new Map();
+
+  this.orderItems.forEach(item => {
+    const seller = item.seller.toString();
+
+    if (!bySeller.has(seller)) {
+      bySeller.set(seller, { seller: item.seller, items: [] });
+    }
+    bySeller.get(seller).items.push(item._id);
+  });
+
+  this.shipments = [...bySeller.values()];
+};
+
+// Method to work out the order status from the status of its shipments
+orderSchema.methods.deriveStatus = function() {
+  const active = this.shipments.filter(shipment => shipment.status !== 'Cancelled');
+
+  if (active.length === 0) {
+    return 'Cancelled';
+  }
+
+  if (active.every(shipment => shipment.status === 'Returned')) {
+    return 'Returned';
+  }
+
+  if (active.every(shipment => ['Delivered', 'Returned'].includes(shipment.status))) {
+    return 'Delivered';
+  }
+
+  if (active.some(shipment => shipment.status !== 'Processing')) {
+    return 'Shipped';
+  }
+
+  return 'Processing';
+};
+
+// Keep the order status in step with its shipments
+orderSchema.pre('save', function(next) {
+  if (this.shipments.length > 0) {
+    const status = this.deriveStatus();
+
+    if (status !== this.orderStatus) {
+      this.orderStatus = status;
+
+      if (status === 'Delivered') {
+        this.deliveredAt = Date.now();
       }
-    }));
-    
-    await mongoose.model('Product').bulkWrite(bulkOps);
+    }
+  }
+  next();
+});
+
+// Update product and variant stock when order is placed
+orderSchema.pre('save', async function(next) {
+  if (this.isNew && this.orderItems.length > 0) {
+    await mongoose.model('Product').decrementStock(this.orderItems);
   }
   next();
 });
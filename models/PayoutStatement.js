@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+/**
+ * A periodic statement of the ledger entries settled with a seller, and
+ * whether the balance has been paid out
+ */
+const payoutStatementSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  net: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'paid'],
+    default: 'open'
+  },
+  paidAt: Date,
+  paymentReference: String,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+payoutStatementSchema.index({ seller: 1, periodEnd: -1 });
+
+// Create and export the PayoutStatement model
+export default mongoose.model('PayoutStatement', payoutStatementSchema);
@@ -1,4 +1,71 @@
 import mongoose from 'mongoose';
+import ErrorResponse from '../utils/errorResponse.js';
+
+// Where a product is in its lifecycle. Only published products are shown to
+// customers; scheduled ones are published at their publishAt time.
+export const PRODUCT_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// The statuses a product may move to from each status
+const STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'published']
+};
+
+// An option customers choose from, e.g. Size with values S, M and L
+const optionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true
+  },
+  values: {
+    type: [{ type: String, trim: true }],
+    validate: {
+      validator: values => values.length > 0,
+      message: 'Option {PATH} needs at least one value'
+    }
+  }
+}, { _id: false });
+
+// One purchasable combination of option values, e.g. Size M in Red
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  // Option name to chosen value, e.g. { Size: 'M', Color: 'Red' }
+  options: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price must be a positive number'],
+    set: val => (val == null ? val : Math.round(val * 100) / 100)
+  },
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    alt: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -26,21 +93,9 @@ const productSchema = new mongoose.Schema({
     alt: String
   }],
   category: {
-    type: String,
-    required: [true, 'Product category is required'],
-    enum: {
-      values: [
-        'Electronics',
-        'Clothing',
-        'Home & Kitchen',
-        'Books',
-        'Toys',
-        'Sports',
-        'Beauty',
-        'Other'
-      ],
-      message: 'Please select a valid category'
-    }
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Product category is required']
   },
   stock: {
     type: Number,
@@ -57,10 +112,10 @@ const productSchema = new mongoose.Schema({
     default: 0
   },
   reviews: [{
+    // Empty once the author has deleted their account
     user: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
+      ref: 'User'
     },
     name: {
       type: String,
@@ -86,9 +141,38 @@ const productSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
-  isActive: {
+  // Values of the attributes defined by the category, e.g. { brand: 'Acme' }
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  options: [optionSchema],
+  // When a product has variants, its stock is the total of their stock
+  variants: [variantSchema],
+  status: {
+    type: String,
+    enum: PRODUCT_STATUSES,
+    default: 'draft'
+  },
+  // When a scheduled product goes on sale
+  publishAt: Date,
+  publishedAt: Date,
+  // Set while the seller is suspended or rejected, so their products are
+  // hidden without losing their status
+  sellerSuspended: {
     type: Boolean,
-    default: true
+    default: false
+  },
+  // Deleted products are kept so orders and reviews still point somewhere,
+  // and can be restored until they are purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
   },
   createdAt: {
     type: Date,
@@ -106,6 +190,140 @@ const productSchema = new mongoose.Schema({
 
 // Create text index for search
 productSchema.index({ name: 'text', description: 'text' });
+productSchema.index({ category: 1 });
+productSchema.index({ 'attributes.$**': 1 });
+productSchema.index({ status: 1, deletedAt: 1 });
+productSchema.index({ status: 1, publishAt: 1 });
+
+// Cursor pagination orders by createdAt with _id as a tie-breaker
+productSchema.index({ createdAt: -1, _id: -1 });
+
+// SKUs are unique across the catalog
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Check that every variant picks one valid value for each option, and that
+// no two variants share a SKU or a combination of values
+productSchema.pre('validate', function(next) {
+  const skus = new Set();
+  const combinations = new Set();
+
+  for (const variant of this.variants) {
+    const names = [...variant.options.keys()];
+
+    if (
+      names.length !== this.options.length ||
+      !this.options.every(option =>
+        option.values.includes(variant.options.get(option.name))
+      )
+    ) {
+      this.invalidate(
+        'variants',
+        `Variant ${variant.sku} must have one value for each product option`
+      );
+    }
+
+    const combination = this.options
+      .map(option => variant.options.get(option.name))
+      .join('/');
+
+    if (skus.has(variant.sku)) {
+      this.invalidate('variants', `Duplicate SKU ${variant.sku}`);
+    }
+    if (combinations.has(combination)) {
+      this.invalidate('variants', `Duplicate variant ${combination}`);
+    }
+
+    skus.add(variant.sku);
+    combinations.add(combination);
+  }
+  next();
+});
+
+// Scheduled products need a time to be published at
+productSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Please provide a publishAt date for scheduled products');
+  }
+  next();
+});
+
+// Keep the product stock as the total of its variants
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+  next();
+});
+
+// Method to get the price of the product, or of one of its variants
+productSchema.methods.priceFor = function(variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
+// Method to get the stock available for the product, or one of its variants
+productSchema.methods.stockFor = function(variant) {
+  return variant ? variant.stock : this.stock;
+};
+
+// Method to find the variant a customer picked. Products with variants
+// cannot be bought without choosing one.
+productSchema.methods.resolveVariant = function(variantId) {
+  if (this.variants.length === 0) {
+    if (variantId) {
+      throw new ErrorResponse(`${this.name} has no variants`, 400);
+    }
+    return null;
+  }
+
+  const variant = variantId && this.variants.id(variantId);
+
+  if (!variant || !variant.isActive) {
+    throw new ErrorResponse(
+      `Please choose an available variant of ${this.name}`,
+      400
+    );
+  }
+
+  return variant;
+};
+
+// Static method to take ordered items out of stock. Variant stock and the
+// product total are updated together.
+productSchema.statics.decrementStock = function(items) {
+  const bulkOps = items.map(item => ({
+    updateOne: item.variant
+      ? {
+        filter: { _id: item.product },
+        update: {
+          $inc: { 'variants.$[variant].stock': -item.quantity, stock: -item.quantity }
+        },
+        arrayFilters: [{ 'variant._id': item.variant }]
+      }
+      : {
+        filter: { _id: item.product },
+        update: { $inc: { stock: -item.quantity } }
+      }
+  }));
+
+  return this.bulkWrite(bulkOps);
+};
+
+// Static method to recalculate the stock total of a product with variants
+productSchema.statics.syncVariantStock = function(productId) {
+  return this.updateOne(
+    { _id: productId, 'variants.0': { $exists: true } },
+    [{ $set: { stock: { $sum: '$variants.stock' } } }]
+  );
+};
+
+// Method to check whether a user has already reviewed the product. Reviews
+// left by deleted accounts have no user.
+productSchema.methods.isReviewedBy = function(userId) {
+  return this.reviews.some(review => review.user && review.user.equals(userId));
+};
 
 // Virtual for getting the average rating
 productSchema.virtual('averageRating').get(function() {
@@ -114,21 +332,100 @@ productSchema.virtual('averageRating').get(function() {
   return sum / this.reviews.length;
 });
 
-// Update the ratings and numOfReviews when a review is added
+// Update the ratings and numOfReviews when reviews are added or removed
 productSchema.pre('save', function(next) {
   if (this.reviews && this.reviews.length > 0) {
     const sum = this.reviews.reduce((acc, item) => item.rating + acc, 0);
     this.ratings = sum / this.reviews.length;
     this.numOfReviews = this.reviews.length;
+  } else {
+    this.ratings = 0;
+    this.numOfReviews = 0;
   }
   next();
 });
 
-// Cascade delete reviews when a product is deleted
-productSchema.pre('remove', async function(next) {
-  await this.model('Review').deleteMany({ product: this._id });
-  next();
-});
+// Static method returning the filter that limits a query to products
+// customers may see: published, not deleted and from a seller in good
+// standing
+productSchema.statics.visibleFilter = function() {
+  return { status: 'published', deletedAt: null, sellerSuspended: { $ne: true } };
+};
+
+// Method to check whether customers may see and buy the product
+productSchema.methods.isVisible = function() {
+  return this.status === 'published' && !this.deletedAt && !this.sellerSuspended;
+};
+
+// Static method to hide or show again every product of a seller
+productSchema.statics.setSellerSuspended = function(sellerId, suspended) {
+  return this.updateMany({ seller: sellerId }, { $set: { sellerSuspended: suspended } });
+};
+
+// Method to move the product to another status, or to reschedule it.
+// Throws for transitions the lifecycle does not allow.
+productSchema.methods.transitionTo = function(status, publishAt) {
+  const next = status === undefined ? this.status : status;
+
+  if (!PRODUCT_STATUSES.includes(next)) {
+    throw new ErrorResponse(`Status must be one of ${PRODUCT_STATUSES.join(', ')}`, 400);
+  }
+
+  if (next !== this.status && !STATUS_TRANSITIONS[this.status].includes(next)) {
+    throw new ErrorResponse(`Cannot move a ${this.status} product to ${next}`, 400);
+  }
+
+  if (next === 'scheduled') {
+    const date = new Date(publishAt == null ? this.publishAt : publishAt);
+
+    if (publishAt == null && !this.publishAt) {
+      throw new ErrorResponse('Please provide a publishAt date to schedule the product', 400);
+    }
+
+    if (Number.isNaN(date.getTime()) || date <= Date.now()) {
+      throw new ErrorResponse('publishAt must be a date in the future', 400);
+    }
+
+    this.publishAt = date;
+  } else if (publishAt != null) {
+    throw new ErrorResponse('publishAt can only be set on scheduled products', 400);
+  } else {
+    this.publishAt = undefined;
+  }
+
+  if (next === 'published' && this.status !== 'published') {
+    this.publishedAt = Date.now();
+  }
+
+  this.status = next;
+};
+
+// Static method to publish the scheduled products whose time has come
+productSchema.statics.publishScheduled = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    [
+      { $set: { status: 'published', publishedAt: '$publishAt' } },
+      { $unset: 'publishAt' }
+    ]
+  );
+
+  return result.modifiedCount;
+};
+
+// Method to move the product to the trash
+productSchema.methods.softDelete = function(user) {
+  this.deletedAt = Date.now();
+  this.deletedBy = user._id;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Method to take the product back out of the trash
+productSchema.methods.restore = function() {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  return this.save({ validateBeforeSave: false });
+};
 
 // Create and export the Product model
 export default mongoose.model('Product', productSchema);
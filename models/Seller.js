@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import slugify from '../utils/slugify.js';
+
+// Onboarding states of a seller; only approved sellers have a storefront
+export const SELLER_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+
+/**
+ * The storefront of a user who sells on the marketplace. Products keep
+ * referencing the selling user, so a seller is looked up through `user`.
+ */
+const sellerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  storeName: {
+    type: String,
+    required: [true, 'Please add a store name'],
+    trim: true,
+    maxlength: [100, 'Store name cannot be more than 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true
+  },
+  logo: {
+    url: String,
+    key: String
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot be more than 2000 characters']
+  },
+  returnPolicy: {
+    type: String,
+    maxlength: [5000, 'Return policy cannot be more than 5000 characters']
+  },
+  rating: {
+    type: Number,
+    default: 0
+  },
+  numOfReviews: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: SELLER_STATUSES,
+    default: 'pending'
+  },
+  statusReason: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sellerSchema.index({ status: 1, createdAt: -1 });
+
+// Create a unique slug from the store name. The slug is kept when the store
+// is renamed so existing links keep working.
+sellerSchema.pre('validate', async function(next) {
+  if (this.slug) {
+    return next();
+  }
+
+  const base = slugify(this.storeName) || 'store';
+  let slug = base;
+  let suffix = 1;
+
+  while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+    suffix += 1;
+    slug = `${base}-${suffix}`;
+  }
+
+  this.slug = slug;
+  next();
+});
+
+// Static method to recalculate a seller's rating from their product reviews
+sellerSchema.statics.updateRating = async function(userId) {
+  const [stats] = await mongoose.model('Product').aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(userId), numOfReviews: { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $multiply: ['$ratings', '$numOfReviews'] } },
+        numOfReviews: { $sum: '$numOfReviews' }
+      }
+    }
+  ]);
+
+  return this.updateOne(
+    { user: userId },
+    {
+      rating: stats ? Math.round((stats.total / stats.numOfReviews) * 10) / 10 : 0,
+      numOfReviews: stats ? stats.numOfReviews : 0
+    }
+  );
+};
+
+// Create and export the Seller model
+export default mongoose.model('Seller', sellerSchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+/**
+ * A login session on one device. Each session is a refresh token family:
+ * the refresh token is rotated on every use, and the hashes of the tokens
+ * rotated out are kept so presenting one again shows it was replayed.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Impersonation sessions cannot be refreshed and have no refresh token
+  refreshTokenHash: {
+    type: String,
+    required: function() {
+      return !this.impersonator;
+    },
+    select: false
+  },
+  // Hashes of recent refresh tokens that have already been rotated out
+  rotatedTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // Staff member acting as the user, when this is an impersonation session
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonationReason: String,
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Let MongoDB clean up sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to check whether a refresh token hash belongs to a token that was
+// already rotated out, which means the token is being replayed
+sessionSchema.methods.wasRotatedOut = function(hash) {
+  return (this.rotatedTokenHashes || []).includes(hash);
+};
+
+// Method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'logout-all') {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Create and export the Session model
+export default mongoose.model('Session', sessionSchema);
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// How long a setting read from the database is reused before reloading it
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to read a setting, falling back to a default when unset
+settingSchema.statics.getValue = async function(key, defaultValue) {
+  const cached = cache.get(key);
+
+  if (cached && cached.expires > Date.now()) {
+    return cached.value ?? defaultValue;
+  }
+
+  const setting = await this.findOne({ key });
+  const value = setting ? setting.value : undefined;
+
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+
+  return value ?? defaultValue;
+};
+
+// Static method to create or replace a setting
+settingSchema.statics.setValue = async function(key, value, userId) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId, updatedAt: new Date() },
+    { new: true, upsert: true }
+  );
+
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+
+  return setting;
+};
+
+// Create and export the Setting model
+export default mongoose.model('Setting', settingSchema);
@@ -1,24 +1,324 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import Setting from './Setting.js';
+import { verifyCode } from '../utils/totp.js';
+
+// Roles a user can hold, from least to most privileged
+export const ROLES = ['customer', 'seller', 'support', 'admin'];
+
+const addressSchema = new mongoose.Schema({
+    label: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Label cannot exceed 50 characters']
+    },
+    fullName: {
+        type: String,
+        trim: true
+    },
+    address: {
+        type: String,
+        required: [true, 'Address is required'],
+        trim: true
+    },
+    city: {
+        type: String,
+        required: [true, 'City is required'],
+        trim: true
+    },
+    state: {
+        type: String,
+        required: [true, 'State is required'],
+        trim: true
+    },
+    country: {
+        type: String,
+        required: [true, 'Country is required'],
+        trim: true
+    },
+    postalCode: {
+        type: String,
+        required: [true, 'Postal code is required'],
+        trim: true
+    },
+    phone: {
+        type: String,
+        required: [true, 'Phone number is required'],
+        trim: true
+    },
+    isDefaultShipping: {
+        type: Boolean,
+        default: false
+    },
+    isDefaultBilling: {
+        type: Boolean,
+        default: false
+    }
+});
 
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
-        required: true
+        required: [true, 'Please add a name'],
+        trim: true
     },
     email: {
         type: String,
-        required: true,
-        unique: true
+        required: [true, 'Please add an email'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [
+            /^\S+@\S+\.\S+$/,
+            'Please add a valid email'
+        ]
     },
     password: {
         type: String,
-        required: true
+        // Accounts created through a login provider may have no password
+        required: [
+            function() {
+                return !this.identities || this.identities.length === 0;
+            },
+            'Please add a password'
+        ],
+        minlength: [6, 'Password must be at least 6 characters'],
+        select: false
+    },
+    identities: [{
+        provider: {
+            type: String,
+            required: true
+        },
+        subject: {
+            type: String,
+            required: true
+        },
+        email: String,
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    addresses: {
+        type: [addressSchema],
+        validate: [
+            addresses => addresses.length <= 20,
+            'You can save up to 20 addresses'
+        ]
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ROLES,
+            message: 'Please select a valid role'
+        },
+        default: 'customer'
+    },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
+    emailVerificationToken: String,
+    emailVerificationExpire: Date,
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: Date,
+        secret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        lastUsedStep: {
+            type: Number,
+            select: false
+        }
+    },
+    suspendedAt: Date,
+    suspendedUntil: Date,
+    suspensionReason: String,
+    suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    deletionRequestedAt: Date,
+    deletionScheduledFor: Date,
+    deletionReviewMode: {
+        type: String,
+        enum: ['anonymize', 'remove']
     },
+    resetPasswordToken: String,
+    resetPasswordExpire: Date,
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// A provider account can only be linked to one user
+userSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, sparse: true }
+);
+
+// The admin user list pages by createdAt with _id as a tie-breaker
+userSchema.index({ createdAt: -1, _id: -1 });
+
+// Encrypt password using bcrypt
+userSchema.pre('save', async function(next) {
+    if (!this.isModified('password')) {
+        return next();
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+});
+
+// Sign a short-lived access token bound to a session and return it
+userSchema.methods.getSignedJwtToken = function(sessionId, { expiresIn } = {}) {
+    return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: expiresIn || process.env.JWT_EXPIRE || '15m'
+    });
+};
+
+// Check whether the account is currently suspended
+userSchema.methods.isSuspended = function() {
+    return Boolean(
+        this.suspendedAt &&
+        (!this.suspendedUntil || this.suspendedUntil > new Date())
+    );
+};
+
+// Match user entered password to hashed password in database
+userSchema.methods.matchPassword = async function(enteredPassword) {
+    if (!enteredPassword || !this.password) {
+        return false;
+    }
+
+    return bcrypt.compare(enteredPassword, this.password);
+};
+
+// Generate and hash password token
+userSchema.methods.getResetPasswordToken = function() {
+    // Generate token
+    const resetToken = crypto.randomBytes(20).toString('hex');
+
+    // Hash token and set to resetPasswordToken field
+    this.resetPasswordToken = crypto
+        .createHash('sha256')
+        .update(resetToken)
+        .digest('hex');
+
+    // Set expire (10 minutes)
+    this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+
+    return resetToken;
+};
+
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function() {
+    // Generate token
+    const verificationToken = crypto.randomBytes(20).toString('hex');
+
+    // Hash token and set to emailVerificationToken field
+    this.emailVerificationToken = crypto
+        .createHash('sha256')
+        .update(verificationToken)
+        .digest('hex');
+
+    // Set expire (24 hours)
+    this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000;
+
+    return verificationToken;
+};
+
+// Sign a short-lived token proving the password step of a two-factor login
+userSchema.methods.getTwoFactorChallengeToken = function() {
+    return jwt.sign({ id: this._id, purpose: '2fa' }, process.env.JWT_SECRET, {
+        expiresIn: '5m'
+    });
+};
+
+// Generate new recovery codes, storing only their hashes
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+    const codes = Array.from({ length: count }, () =>
+        crypto.randomBytes(5).toString('hex')
+    );
+
+    this.twoFactor.recoveryCodes = codes.map(code =>
+        crypto.createHash('sha256').update(code).digest('hex')
+    );
+
+    return codes;
+};
+
+// Check an authenticator code or recovery code. Needs the twoFactor secret,
+// recoveryCodes and lastUsedStep selected; the caller must save the user.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+    const step = this.twoFactor.secret
+        ? verifyCode(this.twoFactor.secret, code)
+        : null;
+
+    // Each authenticator code can only be used once
+    if (step !== null && step > (this.twoFactor.lastUsedStep || 0)) {
+        this.twoFactor.lastUsedStep = step;
+        return true;
+    }
+
+    const hashed = crypto
+        .createHash('sha256')
+        .update(String(code || '').trim().toLowerCase())
+        .digest('hex');
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed);
+
+    // Recovery codes are single use
+    if (index > -1) {
+        this.twoFactor.recoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+};
+
+// Make one address the default for shipping and/or billing, clearing the
+// flag on every other address
+userSchema.methods.setDefaultAddress = function(addressId, { shipping, billing }) {
+    this.addresses.forEach(address => {
+        const isTarget = address._id.equals(addressId);
+
+        if (shipping) {
+            address.isDefaultShipping = isTarget;
+        }
+        if (billing) {
+            address.isDefaultBilling = isTarget;
+        }
+    });
+};
+
+// Get the default shipping or billing address
+userSchema.methods.getDefaultAddress = function(type = 'shipping') {
+    const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+
+    return this.addresses.find(address => address[flag]);
+};
+
+// Static method to check whether admins have made two-factor authentication
+// mandatory for a role
+userSchema.statics.isTwoFactorRequired = async function(role) {
+    const roles = await Setting.getValue('twoFactorRequiredRoles', []);
+
+    return roles.includes(role);
+};
+
 // Create and export the User model
 export default mongoose.model('User', userSchema);
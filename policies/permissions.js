@@ -0,0 +1,170 @@
+/**
+ * Central authorization policy.
+ *
+ * Permissions are named `<resource>.<action>`. Permissions on existing
+ * resources carry a suffix: `.own` covers resources the user owns and `.any`
+ * covers every resource, so `.any` implies `.own`.
+ *
+ * This module has no database access so policies can be tested on their own;
+ * the `permit` middleware in middleware/auth.js applies it to requests.
+ */
+
+// Permissions every signed-in user has, for shopping and applying to sell
+const SHOPPER = [
+  'cart.manage.own',
+  'order.create',
+  'order.read.own',
+  'review.create',
+  'seller.apply',
+  'seller.update.own'
+];
+
+// Permissions that let support staff help customers
+const SUPPORT = [
+  'user.read.any',
+  'user.impersonate.any'
+];
+
+// Permissions granted to each role
+export const ROLE_PERMISSIONS = {
+  customer: [...SHOPPER],
+  seller: [
+    ...SHOPPER,
+    'product.create',
+    'product.read.own',
+    'product.update.own',
+    'product.delete.own',
+    'product.stock.own',
+    'shipment.read.own',
+    'shipment.status.own',
+    'payout.read.own'
+  ],
+  support: [...SHOPPER, ...SUPPORT],
+  admin: [
+    ...SHOPPER,
+    ...SUPPORT,
+    'user.suspend.any',
+    'user.role.any',
+    'user.sessions.any',
+    'user.unlock.any',
+    'settings.manage.any',
+    'apikey.manage.any',
+    'order.read.any',
+    'order.pay.any',
+    'order.status.any',
+    'report.read.any',
+    'product.create',
+    'product.read.any',
+    'product.update.any',
+    'product.delete.any',
+    'product.stock.any',
+    'seller.read.any',
+    'seller.review.any',
+    'shipment.read.any',
+    'shipment.status.any',
+    'order.refund.any',
+    'payout.read.any',
+    'payout.manage.any',
+    'commission.manage.any',
+    'category.manage.any'
+  ]
+};
+
+// Permissions granted to API keys by each scope
+export const SCOPE_PERMISSIONS = {
+  'orders:read': ['order.read.any', 'shipment.read.any'],
+  'orders:write': ['order.status.any', 'shipment.status.any'],
+  'products:read': ['product.read.any'],
+  'products:write': ['product.update.any'],
+  'inventory:write': ['product.stock.any']
+};
+
+// The roles each staff role may impersonate. Support staff only see what
+// customers see; acting as a seller would give them product and payout
+// permissions they do not otherwise have. Staff are never impersonated.
+export const IMPERSONATABLE_ROLES = {
+  support: ['customer'],
+  admin: ['customer', 'seller']
+};
+
+// How to find the user who owns each kind of resource
+const OWNERS = {
+  order: order => order.user,
+  product: product => product.seller,
+  seller: seller => seller.user,
+  shipment: shipment => shipment.seller,
+  payout: statement => statement.seller
+};
+
+/**
+ * Lists the permissions held by whoever is making a request
+ * @param {Object} principal
+ * @param {Object} [principal.user] - The signed-in user
+ * @param {Object} [principal.apiKey] - The API key used instead of a user
+ * @returns {string[]}
+ */
+export const permissionsFor = ({ user, apiKey } = {}) => {
+  if (apiKey) {
+    return apiKey.scopes.flatMap(scope => SCOPE_PERMISSIONS[scope] || []);
+  }
+
+  return (user && ROLE_PERMISSIONS[user.role]) || [];
+};
+
+/**
+ * Checks whether a user owns a resource
+ * @param {Object} user - The signed-in user
+ * @param {string} type - Resource type, the first part of a permission name
+ * @param {Object} resource - The resource document
+ * @returns {boolean}
+ */
+export const isOwner = (user, type, resource) => {
+  const owner = OWNERS[type]?.(resource);
+
+  if (!user || !owner) {
+    return false;
+  }
+
+  // Populated references are documents rather than ids
+  return String(owner._id || owner) === String(user._id);
+};
+
+/**
+ * Checks whether a staff member may impersonate a user
+ * @param {Object} staff - The signed-in staff member
+ * @param {Object} user - The user to impersonate
+ * @returns {boolean}
+ */
+export const canImpersonate = (staff, user) =>
+  can({ user: staff }, 'user.impersonate.any') &&
+  (IMPERSONATABLE_ROLES[staff.role] || []).includes(user.role);
+
+/**
+ * Decides whether a permission is granted
+ * @param {Object} principal - `{ user }` or `{ apiKey }`
+ * @param {string} permission - A full permission such as `order.read.any`, or
+ *   an action such as `order.read` checked against a resource
+ * @param {Object} [resource] - The resource acted on, for `.own` permissions
+ * @returns {boolean}
+ */
+export const can = (principal, permission, resource) => {
+  const granted = permissionsFor(principal);
+
+  if (granted.includes(permission)) {
+    return true;
+  }
+
+  if (permission.endsWith('.own')) {
+    return granted.includes(permission.replace(/\.own$/, '.any'));
+  }
+
+  if (granted.includes(`${permission}.any`)) {
+    return true;
+  }
+
+  return Boolean(
+    resource &&
+    granted.includes(`${permission}.own`) &&
+    isOwner(principal.user, permission.split('.')[0], resource)
+  );
+};
@@ -0,0 +1,101 @@
+import express from 'express';
+import {
+  getUsers,
+  getUser,
+  suspendUser,
+  unsuspendUser,
+  impersonateUser,
+  updateUserRole,
+  getRoleHistory,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getLockouts,
+  unlockUser,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} from '../controllers/adminController.js';
+import {
+  getStatements,
+  markStatementPaid,
+  getCommissionRules,
+  createCommissionRule,
+  updateCommissionRule,
+  deleteCommissionRule,
+} from '../controllers/payoutController.js';
+import { getAllProducts } from '../controllers/productController.js';
+
+import { protect, protectWith, permit } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Products, including inactive and deleted ones. Also open to integrations
+// using an API key with the products:read scope.
+router.get(
+  '/products',
+  protectWith({ allowApiKey: true }),
+  permit('product.read.any'),
+  getAllProducts
+);
+
+router.use(protect);
+
+// User accounts
+router.get('/users', permit('user.read.any'), getUsers);
+router.get('/users/:id', permit('user.read.any'), getUser);
+router.post(
+  '/users/:id/impersonate',
+  permit('user.impersonate.any'),
+  impersonateUser
+);
+router.put('/users/:id/suspend', permit('user.suspend.any'), suspendUser);
+router.put('/users/:id/unsuspend', permit('user.suspend.any'), unsuspendUser);
+
+// User roles
+router.put('/users/:id/role', permit('user.role.any'), updateUserRole);
+router.get(
+  '/users/:id/role-history',
+  permit('user.role.any'),
+  getRoleHistory
+);
+
+// Sessions
+router.route('/users/:id/sessions')
+  .get(permit('user.sessions.any'), getUserSessions)
+  .delete(permit('user.sessions.any'), revokeUserSessions);
+router.delete(
+  '/sessions/:id',
+  permit('user.sessions.any'),
+  revokeUserSession
+);
+
+// Security settings
+router.route('/settings/two-factor')
+  .get(permit('settings.manage.any'), getTwoFactorPolicy)
+  .put(permit('settings.manage.any'), updateTwoFactorPolicy);
+
+// Login lockouts
+router.get('/security/lockouts', permit('user.unlock.any'), getLockouts);
+router.post('/users/:id/unlock', permit('user.unlock.any'), unlockUser);
+
+// API keys for integrations
+router.route('/api-keys')
+  .get(permit('apikey.manage.any'), getApiKeys)
+  .post(permit('apikey.manage.any'), createApiKey);
+router.delete('/api-keys/:id', permit('apikey.manage.any'), revokeApiKey);
+
+// Seller payouts
+router.get('/payouts', permit('payout.read.any'), getStatements);
+router.put('/payouts/:id/paid', permit('payout.manage.any'), markStatementPaid);
+router.route('/commission-rules')
+  .get(permit('commission.manage.any'), getCommissionRules)
+  .post(permit('commission.manage.any'), createCommissionRule);
+router.route('/commission-rules/:id')
+  .put(permit('commission.manage.any'), updateCommissionRule)
+  .delete(permit('commission.manage.any'), deleteCommissionRule);
+
+// Export the router as default
+export default router;
@@ -7,22 +7,79 @@ import {
   resetPassword,
   updateDetails,
   updatePassword,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  oidcLogin,
+  oidcCallback,
 } from '../controllers/authController.js';
-import { protect } from '../middleware/auth.js';
+import {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+} from '../controllers/addressController.js';
+import {
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from '../controllers/accountController.js';
+import { protect, protectWith } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', loginTwoFactor);
 router.post('/forgotpassword', forgotPassword);
 router.put('/resetpassword/:resettoken', resetPassword);
+router.post('/refresh', refresh);
+router.get('/verify/:token', verifyEmail);
+router.get('/oidc/:provider', oidcLogin);
+router.get('/oidc/:provider/callback', oidcCallback);
+
+// Account-security routes stay with the account owner and are refused to
+// impersonation sessions
+const ownerOnly = protectWith({ allowTwoFactorSetup: true, allowImpersonation: false });
+
+// Routes open to users who still have to enroll in two-factor authentication
+router.use(protectWith({ allowTwoFactorSetup: true }));
+router.get('/me', getMe);
+router.post('/logout', logout);
+router.post('/logout-all', ownerOnly, logoutAll);
+router.post('/2fa/setup', ownerOnly, setupTwoFactor);
+router.post('/2fa/enable', ownerOnly, enableTwoFactor);
 
 // Protected routes
 router.use(protect);
-router.get('/me', getMe);
-router.put('/updatedetails', updateDetails);
-router.put('/updatepassword', updatePassword);
+router.post('/verify/resend', ownerOnly, resendVerification);
+router.get('/me/export', ownerOnly, exportMyData);
+router.delete('/me', ownerOnly, requestAccountDeletion);
+router.post('/me/deletion/cancel', ownerOnly, cancelAccountDeletion);
+router.put('/updatedetails', ownerOnly, updateDetails);
+router.put('/updatepassword', ownerOnly, updatePassword);
+router.post('/2fa/disable', ownerOnly, disableTwoFactor);
+router.post('/2fa/recovery-codes', ownerOnly, regenerateRecoveryCodes);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', ownerOnly, revokeSession);
+
+// Address book
+router.route('/addresses')
+  .get(getAddresses)
+  .post(addAddress);
+router.route('/addresses/:addressId')
+  .put(updateAddress)
+  .delete(deleteAddress);
 
 // Export the router as default
 export default router;
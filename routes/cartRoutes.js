@@ -9,12 +9,12 @@ import {
   mergeCarts,
 } from '../controllers/cartController.js';
 
-import { protect } from '../middleware/auth.js';
+import { protect, permit } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(protect);
+router.use(protect, permit('cart.manage.own'));
 
 // GET /api/v1/cart
 router.route('/')
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from '../controllers/categoryController.js';
+
+import { protect, permit } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getCategories);
+router.get('/:idOrSlug', getCategory);
+
+// Admin routes
+router.post('/', protect, permit('category.manage.any'), createCategory);
+router.route('/:id')
+  .put(protect, permit('category.manage.any'), updateCategory)
+  .delete(protect, permit('category.manage.any'), deleteCategory);
+
+// Export the router as default
+export default router;
@@ -9,30 +9,69 @@ import {
   getOrders,
   getMonthlySales,
   getOrderStats,
+  getMyShipments,
+  updateShipmentStatus,
+  refundOrder,
 } from '../controllers/orderController.js';
 
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, protectWith, permit } from '../middleware/auth.js';
+import Order from '../models/Order.js';
 
 const router = express.Router();
 
-// All routes are protected
+// Routes also open to integrations using an API key
+const apiKeyOrUser = protectWith({ allowApiKey: true });
+router.get('/', apiKeyOrUser, permit('order.read.any'), getOrders);
+router.put(
+  '/:id/deliver',
+  apiKeyOrUser,
+  permit('order.status.any'),
+  updateOrderToDelivered
+);
+router.put(
+  '/:id/status',
+  apiKeyOrUser,
+  permit('order.status.any'),
+  updateOrderStatus
+);
+router.put(
+  '/:id/shipments/:shipmentId/status',
+  apiKeyOrUser,
+  permit('shipment.status', {
+    model: Order,
+    resource: (order, req) => order.shipments.id(req.params.shipmentId)
+  }),
+  updateShipmentStatus
+);
+
+// All other routes are protected
 router.use(protect);
 
 // User routes
-router.route('/')
-  .post(createOrder)
-  .get(authorize('admin'), getOrders);
-
-router.get('/myorders', getMyOrders);
-router.get('/:id', getOrderById);
-router.put('/:id/pay', updateOrderToPaid);
-
-// Admin routes
-router.use(authorize('admin'));
-router.put('/:id/deliver', updateOrderToDelivered);
-router.put('/:id/status', updateOrderStatus);
-router.get('/monthly-sales', getMonthlySales);
-router.get('/stats', getOrderStats);
+router.post(
+  '/',
+  protectWith({ requireVerified: true }),
+  permit('order.create'),
+  createOrder
+);
+router.get('/myorders', permit('order.read.own'), getMyOrders);
+
+// Seller fulfilment
+router.get('/shipments/mine', permit('shipment.read.own'), getMyShipments);
+
+// Reports
+router.get('/monthly-sales', permit('report.read.any'), getMonthlySales);
+router.get('/stats', permit('report.read.any'), getOrderStats);
+
+router.get('/:id', permit('order.read', { model: Order }), getOrderById);
+
+// Payments are confirmed by staff, never by the customer who placed the order
+router.put('/:id/pay', permit('order.pay.any', { model: Order }), updateOrderToPaid);
+router.post(
+  '/:id/refunds',
+  permit('order.refund.any', { model: Order }),
+  refundOrder
+);
 
 // Export the router as default
 export default router;
@@ -1,36 +1,85 @@
 import express from 'express';
 import {
   getProducts,
+  searchProducts,
+  getSearchSuggestions,
+  getMyProducts,
   getProduct,
   createProduct,
   updateProduct,
   deleteProduct,
+  restoreProduct,
   productPhotoUpload,
   getProductsInRadius,
+  getProductReviews,
   createProductReview,
   getTopProducts,
+  updateProductStock,
 } from '../controllers/productController.js';
 
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, protectWith, permit } from '../middleware/auth.js';
+import Product from '../models/Product.js';
 
 const router = express.Router();
 
+// Deleted products cannot be changed until they are restored
+const liveProduct = {
+  model: Product,
+  resource: product => (product.deletedAt ? null : product)
+};
+
 // Public routes
 router.get('/', getProducts);
 router.get('/top', getTopProducts);
+router.get('/search', searchProducts);
+router.get('/search/suggest', getSearchSuggestions);
+
+// The calling seller's own catalog, matched before /:id
+router.get('/mine', protect, permit('product.read.own'), getMyProducts);
+
+// Public product details
 router.get('/:id', getProduct);
+router.get('/:id/reviews', getProductReviews);
 router.get('/radius/:zipcode/:distance', getProductsInRadius);
 
+// Stock updates, also open to inventory systems using an API key
+router.put(
+  '/:id/stock',
+  protectWith({ allowApiKey: true }),
+  permit('product.stock', liveProduct),
+  updateProductStock
+);
+
+// Product updates, also open to catalog systems using an API key
+router.put(
+  '/:id',
+  protectWith({ allowApiKey: true }),
+  permit('product.update', liveProduct),
+  updateProduct
+);
+
 // Protected routes (require authentication)
 router.use(protect);
-router.post('/:id/reviews', createProductReview);
-
-// Admin routes
-router.use(authorize('admin'));
-router.post('/', createProduct);
-router.put('/:id', updateProduct);
-router.delete('/:id', deleteProduct);
-router.put('/:id/photo', productPhotoUpload);
+router.post(
+  '/:id/reviews',
+  protectWith({ requireVerified: true }),
+  permit('review.create'),
+  createProductReview
+);
+
+// Catalog management
+router.post('/', permit('product.create'), createProduct);
+router.delete('/:id', permit('product.delete', liveProduct), deleteProduct);
+router.put(
+  '/:id/restore',
+  permit('product.delete', { model: Product }),
+  restoreProduct
+);
+router.put(
+  '/:id/photo',
+  permit('product.update', liveProduct),
+  productPhotoUpload
+);
 
 // Export the router as default
 export default router;
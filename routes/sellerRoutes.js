@@ -0,0 +1,63 @@
+import express from 'express';
+import {
+  getSellerBySlug,
+  applyAsSeller,
+  getMySellerProfile,
+  updateMySellerProfile,
+  uploadSellerLogo,
+  getSellers,
+  approveSeller,
+  rejectSeller,
+  suspendSeller,
+} from '../controllers/sellerController.js';
+import {
+  getMyBalance,
+  getMyStatements,
+  getStatement,
+  exportStatement,
+} from '../controllers/payoutController.js';
+
+import { protect, permit } from '../middleware/auth.js';
+import PayoutStatement from '../models/PayoutStatement.js';
+
+const router = express.Router();
+
+// Seller onboarding and profile management
+router.post('/', protect, permit('seller.apply'), applyAsSeller);
+router.route('/me')
+  .get(protect, permit('seller.update.own'), getMySellerProfile)
+  .put(protect, permit('seller.update.own'), updateMySellerProfile);
+router.put('/me/logo', protect, permit('seller.update.own'), uploadSellerLogo);
+
+// Payouts
+router.get('/me/balance', protect, permit('payout.read.own'), getMyBalance);
+router.get(
+  '/me/statements',
+  protect,
+  permit('payout.read.own'),
+  getMyStatements
+);
+router.get(
+  '/me/statements/:id',
+  protect,
+  permit('payout.read', { model: PayoutStatement }),
+  getStatement
+);
+router.get(
+  '/me/statements/:id/export',
+  protect,
+  permit('payout.read', { model: PayoutStatement }),
+  exportStatement
+);
+
+// Admin review of sellers
+router.get('/', protect, permit('seller.read.any'), getSellers);
+router.put('/:id/approve', protect, permit('seller.review.any'), approveSeller);
+router.put('/:id/reject', protect, permit('seller.review.any'), rejectSeller);
+router.put('/:id/suspend', protect, permit('seller.review.any'), suspendSeller);
+
+// Public storefront, matched after /me
+router.get('/:slug', getSellerBySlug);
+
+// Export the router as default
+export default router;
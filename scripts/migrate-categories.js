@@ -0,0 +1,72 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import CommissionRule from '../models/CommissionRule.js';
+
+/**
+ * One-off migration from the hard-coded product category enum to the
+ * category tree. Each old value becomes a top-level category, and products
+ * and commission rules that still store the name are pointed at it.
+ * Safe to run more than once.
+ *
+ * Usage: npm run migrate:categories
+ */
+
+// The values of the old category enum, in their display order
+const LEGACY_CATEGORIES = [
+  'Electronics',
+  'Clothing',
+  'Home & Kitchen',
+  'Books',
+  'Toys',
+  'Sports',
+  'Beauty',
+  'Other'
+];
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ecommerce';
+
+const migrate = async () => {
+  let products = 0;
+  let rules = 0;
+
+  for (const [sortOrder, name] of LEGACY_CATEGORIES.entries()) {
+    const category =
+      (await Category.findOne({ name, parent: null })) ||
+      (await Category.create({ name, sortOrder }));
+
+    // Documents with the old string value would fail to cast through the
+    // models, so they are updated on the collections directly
+    const productResult = await Product.collection.updateMany(
+      { category: name },
+      { $set: { category: category._id } }
+    );
+    const ruleResult = await CommissionRule.collection.updateMany(
+      { category: name },
+      { $set: { category: category._id } }
+    );
+
+    products += productResult.modifiedCount;
+    rules += ruleResult.modifiedCount;
+    console.log(`${name}: ${productResult.modifiedCount} product(s), ${ruleResult.modifiedCount} rule(s)`);
+  }
+
+  const leftover = await Product.collection.countDocuments({ category: { $type: 'string' } });
+
+  console.log(`Migrated ${products} product(s) and ${rules} commission rule(s)`);
+
+  if (leftover > 0) {
+    console.warn(`${leftover} product(s) have a category that is not in the old list`);
+  }
+};
+
+mongoose
+  .connect(MONGO_URI)
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Category migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
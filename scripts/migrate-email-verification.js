@@ -0,0 +1,35 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+/**
+ * One-off migration for accounts created before email verification was
+ * required. They signed up when no verification was asked for, so they are
+ * marked verified rather than locked out of ordering and reviewing.
+ * Accounts that already have a verification status are left alone, so it is
+ * safe to run more than once.
+ *
+ * Usage: npm run migrate:email-verification
+ */
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ecommerce';
+
+const migrate = async () => {
+  // Accounts from before the change have no isEmailVerified field at all
+  const result = await User.collection.updateMany(
+    { isEmailVerified: { $exists: false } },
+    [{ $set: { isEmailVerified: true, emailVerifiedAt: '$createdAt' } }]
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing account(s) as verified`);
+};
+
+mongoose
+  .connect(MONGO_URI)
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Email verification migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+/**
+ * One-off migration from the isActive flag to the product status lifecycle.
+ * Active products become published and inactive ones archived. Products
+ * that already have a status are left alone, so it is safe to run more than
+ * once.
+ *
+ * Usage: npm run migrate:product-status
+ */
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/ecommerce';
+
+const migrate = async () => {
+  // isActive is no longer part of the model, so the collection is updated
+  // directly
+  const published = await Product.collection.updateMany(
+    { status: { $exists: false }, isActive: { $ne: false } },
+    [{ $set: { status: 'published', publishedAt: '$createdAt' } }, { $unset: 'isActive' }]
+  );
+  const archived = await Product.collection.updateMany(
+    { status: { $exists: false }, isActive: false },
+    { $set: { status: 'archived' }, $unset: { isActive: '' } }
+  );
+
+  console.log(
+    `Published ${published.modifiedCount} product(s), archived ${archived.modifiedCount} product(s)`
+  );
+};
+
+mongoose
+  .connect(MONGO_URI)
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Product status migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
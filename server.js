@@ -2,6 +2,7 @@ import 'dotenv/config';
 import { createServer } from 'http';
 import mongoose from 'mongoose';
 import app from './app.js';
+import { startJobs } from './jobs/index.js';
 import { fileURLToPath } from 'url';
 import path from 'path';
 
@@ -49,6 +50,8 @@ const connectDB = async () => {
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
   // Connect to the database and start the server
   connectDB().then(() => {
+    startJobs();
+
     server.listen(PORT, () => {
       console.log(`Server running in ${NODE_ENV} mode on port ${PORT}`);
       console.log(`API Documentation: http://localhost:${PORT}/api-docs`);
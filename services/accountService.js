@@ -0,0 +1,173 @@
+import User from '../models/User.js';
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Seller from '../models/Seller.js';
+import Session from '../models/Session.js';
+import AuditLog from '../models/AuditLog.js';
+
+// Name shown on reviews whose author deleted their account
+const DELETED_USER_NAME = 'Deleted user';
+const REDACTED = 'REDACTED';
+
+// Internal fields that are never part of an export
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'twoFactor.secret',
+  'twoFactor.recoveryCodes',
+  'twoFactor.lastUsedStep',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'emailVerificationExpire',
+];
+
+/**
+ * Collects everything stored about a user
+ * @param {string} userId - Id of the user
+ * @returns {Promise<Object>} - Profile, seller profile, carts, orders, reviews
+ *   and sessions
+ */
+const exportUserData = async (userId) => {
+  const [user, seller, carts, orders, products, sessions] = await Promise.all([
+    User.findById(userId).lean(),
+    Seller.findOne({ user: userId }).lean(),
+    Cart.find({ user: userId }).lean(),
+    Order.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Product.find({ 'reviews.user': userId }, 'name reviews').lean(),
+    Session.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+  ]);
+
+  PRIVATE_USER_FIELDS.forEach((field) => {
+    const [parent, child] = field.split('.');
+
+    if (child && user[parent]) {
+      delete user[parent][child];
+    } else {
+      delete user[field];
+    }
+  });
+
+  const reviews = products.flatMap((product) =>
+    product.reviews
+      .filter((review) => review.user && review.user.equals(userId))
+      .map((review) => ({ product: { _id: product._id, name: product.name }, ...review }))
+  );
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: user,
+    seller,
+    carts,
+    orders,
+    reviews,
+    sessions: sessions.map(({ userAgent, ip, createdAt, lastUsedAt, revokedAt }) => ({
+      userAgent,
+      ip,
+      createdAt,
+      lastUsedAt,
+      revokedAt,
+    })),
+  };
+};
+
+/**
+ * Strips personal details from a user's orders. The orders themselves are
+ * kept because they are needed for accounting.
+ * @param {string} userId - Id of the user
+ * @returns {Promise<void>}
+ */
+const anonymizeOrders = async (userId) => {
+  const orders = await Order.find({ user: userId }, 'shippingInfo billingInfo paymentInfo').lean();
+
+  // Update directly so the order save hooks (stock, tracking) do not run
+  const operations = orders.map((order) => {
+    const $set = { user: null, isAnonymized: true, anonymizedAt: new Date() };
+
+    ['shippingInfo', 'billingInfo'].forEach((field) => {
+      if (order[field]) {
+        $set[`${field}.fullName`] = DELETED_USER_NAME;
+        $set[`${field}.address`] = REDACTED;
+        $set[`${field}.postalCode`] = REDACTED;
+        $set[`${field}.phone`] = REDACTED;
+      }
+    });
+
+    if (order.paymentInfo) {
+      $set['paymentInfo.email_address'] = REDACTED;
+    }
+
+    return { updateOne: { filter: { _id: order._id }, update: { $set } } };
+  });
+
+  if (operations.length > 0) {
+    await Order.bulkWrite(operations);
+  }
+};
+
+/**
+ * Removes a user's reviews, or keeps them under "Deleted user"
+ * @param {string} userId - Id of the user
+ * @param {string} mode - 'remove' or 'anonymize'
+ * @returns {Promise<void>}
+ */
+const handleReviews = async (userId, mode) => {
+  if (mode === 'remove') {
+    const products = await Product.find({ 'reviews.user': userId });
+
+    // Save each product so its rating is recalculated
+    for (const product of products) {
+      product.reviews = product.reviews.filter(
+        (review) => !review.user || !review.user.equals(userId)
+      );
+      await product.save({ validateBeforeSave: false });
+    }
+    return;
+  }
+
+  await Product.updateMany(
+    { 'reviews.user': userId },
+    { $set: { 'reviews.$[review].user': null, 'reviews.$[review].name': DELETED_USER_NAME } },
+    { arrayFilters: [{ 'review.user': userId }] }
+  );
+};
+
+/**
+ * Permanently deletes an account: anonymizes orders, removes or anonymizes
+ * reviews, takes down any storefront and its products, and deletes the
+ * cart, sessions and the user itself
+ * @param {Object} user - The user document
+ * @returns {Promise<void>}
+ */
+const deleteAccount = async (user) => {
+  await anonymizeOrders(user._id);
+  await handleReviews(user._id, user.deletionReviewMode || 'anonymize');
+  await Seller.deleteOne({ user: user._id });
+  await Product.updateMany({ seller: user._id }, { $set: { status: 'archived' } });
+  await Cart.deleteMany({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+
+  await AuditLog.create({
+    action: 'user.delete',
+    target: user._id,
+    details: { requestedAt: user.deletionRequestedAt },
+  });
+};
+
+/**
+ * Deletes every account whose grace period has passed
+ * @returns {Promise<number>} - Number of accounts deleted
+ */
+const processScheduledDeletions = async () => {
+  const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+  for (const user of users) {
+    await deleteAccount(user);
+  }
+
+  return users.length;
+};
+
+// Export the service functions
+export { DELETED_USER_NAME, exportUserData, deleteAccount, processScheduledDeletions };
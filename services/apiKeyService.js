@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import { hashToken } from './tokenService.js';
+
+// How often last-used details are written back for a busy key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Creates an API key
+ * @param {Object} attributes - name, scopes, expiresAt and createdBy
+ * @returns {Promise<{ apiKey: Object, key: string }>} - The stored key and the
+ *   raw key, which cannot be recovered later
+ */
+const issueApiKey = async (attributes) => {
+  const key = `ek_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    ...attributes,
+    prefix: key.slice(0, 11),
+    keyHash: hashToken(key),
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Looks up the active key matching a raw key and records its use
+ * @param {string} rawKey - Value of the X-API-Key header
+ * @param {Object} req - Express request object, used for the caller's IP
+ * @returns {Promise<?Object>} - The key, or null when it is unknown, expired
+ *   or revoked
+ */
+const findActiveApiKey = async (rawKey, req) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+
+  if (!apiKey || !apiKey.isActive) {
+    return null;
+  }
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS
+  ) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = req.ip;
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: req.ip } }
+    );
+  }
+
+  return apiKey;
+};
+
+export { issueApiKey, findActiveApiKey };
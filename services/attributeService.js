@@ -0,0 +1,261 @@
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+// Most values returned for one facet
+const FACET_LIMIT = 50;
+
+// Query operators allowed on number attributes
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Merges attribute definitions, keeping the first definition of each key
+ * @param {Object[][]} lists - Lists of definitions, most important first
+ * @returns {Object[]}
+ */
+const mergeDefinitions = (lists) => {
+  const byKey = new Map();
+
+  lists.flat().forEach((definition) => {
+    if (!byKey.has(definition.key)) {
+      byKey.set(definition.key, definition);
+    }
+  });
+
+  return [...byKey.values()];
+};
+
+/**
+ * Lists the attributes products in a category can have: its own and those
+ * of the categories above it. A category may redefine an inherited key.
+ * @param {Object} category - The category document
+ * @returns {Promise<Object[]>} - Attribute definitions
+ */
+const attributesFor = async (category) => {
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } }, 'attributes');
+
+  // Nearest category first, so its definitions win
+  const path = [...category.ancestors]
+    .reverse()
+    .map((id) => ancestors.find((ancestor) => ancestor._id.equals(id)))
+    .filter(Boolean);
+
+  return mergeDefinitions([category, ...path].map((c) => c.attributes.map((a) => a.toObject())));
+};
+
+/**
+ * Converts one attribute value to the type of its definition
+ * @param {Object} definition - Attribute definition
+ * @param {*} value - Value as sent by the client
+ * @returns {*} - The converted value, or undefined when it is not valid
+ */
+const castValue = (definition, value) => {
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return true;
+      if (value === false || value === 'false') return false;
+      return undefined;
+    case 'select':
+      return definition.options.includes(value) ? value : undefined;
+    default:
+      return typeof value === 'string' || typeof value === 'number'
+        ? String(value).trim()
+        : undefined;
+  }
+};
+
+/**
+ * Checks product attributes against the definitions of their category
+ * @param {Object[]} definitions - Attribute definitions of the category
+ * @param {Object|Map} [values] - Attribute values by key
+ * @returns {Object} - The values converted to their attribute types
+ * @throws {ErrorResponse} - 400 listing every missing, unknown or invalid attribute
+ */
+const validateAttributes = (definitions, values = {}) => {
+  const entries = values instanceof Map ? [...values.entries()] : Object.entries(values);
+  const errors = [];
+  const invalid = new Set();
+  const result = {};
+
+  entries.forEach(([key, value]) => {
+    const definition = definitions.find((d) => d.key === key);
+
+    if (!definition) {
+      errors.push(`Unknown attribute ${key}`);
+      return;
+    }
+
+    // Empty values clear the attribute
+    if (value === null || value === '') {
+      return;
+    }
+
+    const cast = castValue(definition, value);
+
+    if (cast === undefined) {
+      errors.push(
+        definition.type === 'select'
+          ? `${definition.label} must be one of ${definition.options.join(', ')}`
+          : `${definition.label} must be a ${definition.type}`
+      );
+      invalid.add(key);
+      return;
+    }
+
+    result[key] = cast;
+  });
+
+  definitions
+    .filter(
+      (definition) =>
+        definition.required && result[definition.key] === undefined && !invalid.has(definition.key)
+    )
+    .forEach((definition) => errors.push(`${definition.label} is required`));
+
+  if (errors.length > 0) {
+    throw new ErrorResponse(errors.join(', '), 400);
+  }
+
+  return result;
+};
+
+/**
+ * Lists the attributes that can be filtered on in a part of the catalog
+ * @param {Object} [category] - Category being browsed, the whole catalog by default
+ * @returns {Promise<Object[]>} - Attribute definitions
+ */
+const filterableAttributes = async (category) => {
+  const categories = category
+    ? await Category.find(
+      { $or: [{ _id: { $in: category.ancestors } }, { ancestors: category._id }] },
+      'attributes'
+    )
+    : await Category.find({ isActive: true }, 'attributes');
+
+  return mergeDefinitions(
+    [...(category ? [category] : []), ...categories].map((c) =>
+      c.attributes.filter((a) => a.filterable).map((a) => a.toObject())
+    )
+  );
+};
+
+/**
+ * Turns attribute filters from a query string, e.g.
+ * `attributes[brand]=Acme` or `attributes[screenSize][gte]=40`, into query
+ * conditions. Several values may be given separated by commas.
+ * @param {Object[]} definitions - Definitions of the filterable attributes
+ * @param {Object} [query] - The parsed `attributes` query parameter
+ * @returns {Object} - Conditions keyed by attribute path
+ */
+const attributeFilter = (definitions, query = {}) => {
+  const filter = {};
+
+  Object.entries(query).forEach(([key, value]) => {
+    const definition = definitions.find((d) => d.key === key);
+
+    // Unknown attributes cannot match anything useful, so they are ignored
+    if (!definition) {
+      return;
+    }
+
+    const path = `attributes.${key}`;
+
+    if (definition.type === 'number' && value && typeof value === 'object') {
+      const range = {};
+
+      RANGE_OPERATORS.forEach((operator) => {
+        const bound = castValue(definition, value[operator]);
+        if (bound !== undefined) {
+          range[`$${operator}`] = bound;
+        }
+      });
+
+      if (Object.keys(range).length > 0) {
+        filter[path] = range;
+      }
+      return;
+    }
+
+    const values = String(value)
+      .split(',')
+      .map((item) => castValue(definition, item))
+      .filter((item) => item !== undefined);
+
+    if (values.length > 0) {
+      filter[path] = values.length === 1 ? values[0] : { $in: values };
+    }
+  });
+
+  return filter;
+};
+
+/**
+ * Counts the products for each value of the filterable attributes. The
+ * counts of an attribute ignore the filter on that same attribute, so the
+ * storefront can show the other values a customer could switch to.
+ * Number attributes report their range instead.
+ * @param {Object} filter - Product filter without attribute conditions
+ * @param {Object} attributeConditions - Conditions from attributeFilter
+ * @param {Object[]} definitions - Definitions of the filterable attributes
+ * @returns {Promise<Object>} - Facets by attribute key
+ */
+const facetCounts = async (filter, attributeConditions, definitions) => {
+  if (definitions.length === 0) {
+    return {};
+  }
+
+  const pipelines = Object.fromEntries(
+    definitions.map((definition) => {
+      const path = `attributes.${definition.key}`;
+      const others = Object.fromEntries(
+        Object.entries(attributeConditions).filter(([condition]) => condition !== path)
+      );
+
+      const pipeline = [{ $match: { ...others, [path]: { $ne: null } } }];
+
+      if (definition.type === 'number') {
+        pipeline.push({ $group: { _id: null, min: { $min: `$${path}` }, max: { $max: `$${path}` } } });
+      } else {
+        pipeline.push(
+          { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT }
+        );
+      }
+
+      return [definition.key, pipeline];
+    })
+  );
+
+  // Aggregations do not cast, so let the query cast the product filter
+  const match = Product.find(filter).cast(Product);
+  const [result] = await Product.aggregate([{ $match: match }, { $facet: pipelines }]);
+
+  return Object.fromEntries(
+    definitions.map((definition) => {
+      const buckets = result[definition.key];
+
+      const facet =
+        definition.type === 'number'
+          ? { min: buckets[0]?.min ?? null, max: buckets[0]?.max ?? null }
+          : buckets.map((bucket) => ({ value: bucket._id, count: bucket.count }));
+
+      return [
+        definition.key,
+        { label: definition.label, type: definition.type, unit: definition.unit, values: facet },
+      ];
+    })
+  );
+};
+
+export {
+  attributesFor,
+  validateAttributes,
+  filterableAttributes,
+  attributeFilter,
+  facetCounts,
+};
@@ -0,0 +1,155 @@
+import AuthThrottle from '../models/AuthThrottle.js';
+import AuditLog from '../models/AuditLog.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Throttling policies. Failed logins are counted per account and per IP:
+ * after the free attempts every failure doubles the wait before the next
+ * try, and reaching the maximum locks the key out. Password reset requests
+ * are limited per email and per IP so the endpoint cannot be used to spam
+ * users or probe for accounts.
+ */
+const policies = () => ({
+  loginAccount: {
+    windowMs: 15 * MINUTE,
+    freeAttempts: 3,
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+    lockMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE,
+    maxDelayMs: MINUTE,
+  },
+  loginIp: {
+    windowMs: 15 * MINUTE,
+    freeAttempts: 10,
+    maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 50,
+    lockMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE,
+    maxDelayMs: MINUTE,
+  },
+  resetAccount: {
+    windowMs: 60 * MINUTE,
+    freeAttempts: 2,
+    maxAttempts: 3,
+    lockMs: 60 * MINUTE,
+  },
+  resetIp: {
+    windowMs: 15 * MINUTE,
+    freeAttempts: 4,
+    maxAttempts: 5,
+    lockMs: 15 * MINUTE,
+  },
+});
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Builds the account lockout key for an email address
+ * @param {string} email - Email address as entered by the user
+ * @returns {string} - Throttle key
+ */
+const accountKey = (email) => `login:account:${normalizeEmail(email)}`;
+
+const loginKeys = (req, email) => {
+  const { loginAccount, loginIp } = policies();
+
+  return [
+    { key: accountKey(email), policy: loginAccount, scope: 'account' },
+    { key: `login:ip:${req.ip}`, policy: loginIp, scope: 'ip' },
+  ];
+};
+
+const tooManyAttempts = (retryAfter, message) => {
+  const error = new ErrorResponse(
+    `${message}, please try again in ${retryAfter} seconds`,
+    429
+  );
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Rejects the login if the account or the caller's IP is currently blocked
+ * @param {Object} req - Express request object
+ * @param {string} email - Email address being logged into
+ * @returns {Promise<void>}
+ * @throws {ErrorResponse} - 429 with retryAfter set when blocked
+ */
+const assertLoginAllowed = async (req, email) => {
+  const retryAfter = await AuthThrottle.retryAfter(
+    loginKeys(req, email).map(({ key }) => key)
+  );
+
+  if (retryAfter) {
+    throw tooManyAttempts(retryAfter, 'Too many failed login attempts');
+  }
+};
+
+/**
+ * Counts a failed login against the account and IP, auditing any lockout
+ * @param {Object} req - Express request object
+ * @param {string} email - Email address being logged into
+ * @param {Object} [user] - The matching user, if the account exists
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (req, email, user) => {
+  for (const { key, policy, scope } of loginKeys(req, email)) {
+    const { count, lockedUntil, lockedOut } = await AuthThrottle.hit(key, policy);
+
+    if (lockedOut) {
+      await AuditLog.record(req, {
+        action: 'auth.lockout',
+        target: scope === 'account' ? user?._id : undefined,
+        details: {
+          scope,
+          email: normalizeEmail(email),
+          ip: req.ip,
+          failures: count,
+          lockedUntil,
+        },
+      });
+    }
+  }
+};
+
+/**
+ * Clears the failure count of an account after a successful login
+ * @param {string} email - Email address that was logged into
+ * @returns {Promise<Object>} - Delete result
+ */
+const clearLoginFailures = (email) =>
+  AuthThrottle.deleteOne({ key: accountKey(email) });
+
+/**
+ * Counts a password reset request, rejecting it once the email address or
+ * IP has asked too often. Applies whether or not the account exists.
+ * @param {Object} req - Express request object
+ * @param {string} email - Email address the reset was requested for
+ * @returns {Promise<void>}
+ * @throws {ErrorResponse} - 429 with retryAfter set when throttled
+ */
+const assertPasswordResetAllowed = async (req, email) => {
+  const { resetAccount, resetIp } = policies();
+  const keys = [
+    { key: `reset:account:${normalizeEmail(email)}`, policy: resetAccount },
+    { key: `reset:ip:${req.ip}`, policy: resetIp },
+  ];
+
+  const retryAfter = await AuthThrottle.retryAfter(keys.map(({ key }) => key));
+
+  if (retryAfter) {
+    throw tooManyAttempts(retryAfter, 'Too many password reset requests');
+  }
+
+  for (const { key, policy } of keys) {
+    await AuthThrottle.hit(key, policy);
+  }
+};
+
+// Export the service functions
+export {
+  accountKey,
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  assertPasswordResetAllowed,
+};
@@ -0,0 +1,227 @@
+import LedgerEntry from '../models/LedgerEntry.js';
+import PayoutStatement from '../models/PayoutStatement.js';
+import CommissionRule from '../models/CommissionRule.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round an amount of money to cents
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Records what each seller is owed for a paid order, one entry per line.
+ * Lines that already have a sale entry are skipped, so paying an order twice
+ * does not count it twice.
+ * @param {Object} order - The paid order document
+ * @returns {Promise<Object[]>} - The new ledger entries
+ */
+const recordSale = async (order) => {
+  const items = order.orderItems.filter((item) => item.seller);
+
+  if (items.length === 0) {
+    return [];
+  }
+
+  const [rules, products, recorded] = await Promise.all([
+    CommissionRule.find({ isActive: true }),
+    Product.find({ _id: { $in: items.map((item) => item.product) } }, 'category'),
+    LedgerEntry.distinct('orderItem', { order: order._id, type: 'sale' }),
+  ]);
+
+  // A category rule also applies to the categories below it
+  const categories = await Category.find(
+    { _id: { $in: products.map((product) => product.category) } },
+    'ancestors'
+  );
+
+  const categoryPath = (categoryId) => {
+    const category = categories.find((c) => c._id.equals(categoryId));
+    return category ? [category._id, ...[...category.ancestors].reverse()] : [];
+  };
+
+  const entries = items
+    .filter((item) => !recorded.some((id) => id.equals(item._id)))
+    .map((item) => {
+      const product = products.find((p) => p._id.equals(item.product));
+      const commissionRate = CommissionRule.rateFor(rules, {
+        seller: item.seller,
+        categories: product ? categoryPath(product.category) : [],
+      });
+      const amount = round(item.price * item.quantity);
+      const commission = round((amount * commissionRate) / 100);
+
+      return {
+        seller: item.seller,
+        type: 'sale',
+        order: order._id,
+        orderNumber: order.orderNumber,
+        orderItem: item._id,
+        product: item.product,
+        description: item.name,
+        quantity: item.quantity,
+        amount,
+        commissionRate,
+        commission,
+        net: round(amount - commission),
+      };
+    });
+
+  return entries.length > 0 ? LedgerEntry.insertMany(entries) : [];
+};
+
+/**
+ * Reverses the sale of order lines with negative entries. A refund returns
+ * the platform commission to the seller's side; a chargeback does not, as
+ * the platform has already lost the payment.
+ * @param {Object} order - The order document
+ * @param {Object} options
+ * @param {string} [options.type] - 'refund' or 'chargeback'
+ * @param {string[]} [options.items] - Ids of the order lines, all by default
+ * @param {string} [options.reason] - Why the money was returned
+ * @param {Object} [options.user] - The staff member recording it
+ * @returns {Promise<Object[]>} - The new ledger entries
+ * @throws {ErrorResponse} - 400 when a line was never sold or is already reversed
+ */
+const recordReversal = async (order, { type = 'refund', items, reason, user } = {}) => {
+  const itemIds = items || order.orderItems.map((item) => item._id.toString());
+
+  const sales = await LedgerEntry.find({
+    order: order._id,
+    type: 'sale',
+    orderItem: { $in: itemIds },
+  });
+
+  if (sales.length !== itemIds.length) {
+    throw new ErrorResponse('Only paid order items can be reversed', 400);
+  }
+
+  const reversed = await LedgerEntry.exists({
+    orderItem: { $in: itemIds },
+    type: { $in: ['refund', 'chargeback'] },
+  });
+
+  if (reversed) {
+    throw new ErrorResponse('An order item has already been reversed', 400);
+  }
+
+  const entries = sales.map((sale) => {
+    const commission = type === 'refund' ? -sale.commission : 0;
+
+    return {
+      seller: sale.seller,
+      type,
+      order: sale.order,
+      orderNumber: sale.orderNumber,
+      orderItem: sale.orderItem,
+      product: sale.product,
+      description: sale.description,
+      quantity: sale.quantity,
+      amount: -sale.amount,
+      commissionRate: type === 'refund' ? sale.commissionRate : 0,
+      commission,
+      net: round(-sale.amount - commission),
+      reason,
+      createdBy: user?._id,
+    };
+  });
+
+  return LedgerEntry.insertMany(entries);
+};
+
+/**
+ * Sums ledger entries
+ * @param {Object} filter - Which entries to include
+ * @returns {Promise<{ amount: number, commission: number, net: number, entryCount: number, firstEntryAt: ?Date }>}
+ */
+const sumEntries = async (filter) => {
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        amount: { $sum: '$amount' },
+        commission: { $sum: '$commission' },
+        net: { $sum: '$net' },
+        entryCount: { $sum: 1 },
+        firstEntryAt: { $min: '$createdAt' },
+      },
+    },
+  ]);
+
+  return {
+    amount: round(totals?.amount || 0),
+    commission: round(totals?.commission || 0),
+    net: round(totals?.net || 0),
+    entryCount: totals?.entryCount || 0,
+    firstEntryAt: totals?.firstEntryAt || null,
+  };
+};
+
+/**
+ * Works out a seller's balance: what is not yet on a statement, and what is
+ * on statements that have not been paid out
+ * @param {string} sellerId - Id of the selling user
+ * @returns {Promise<Object>}
+ */
+const getBalance = async (sellerId) => {
+  const [unsettled, unpaid] = await Promise.all([
+    sumEntries({ seller: sellerId, statement: null }),
+    PayoutStatement.find({ seller: sellerId, status: 'open' }, 'net'),
+  ]);
+
+  const unpaidNet = round(unpaid.reduce((sum, statement) => sum + statement.net, 0));
+
+  return {
+    unsettled,
+    unpaidStatements: unpaid.length,
+    unpaidNet,
+    total: round(unsettled.net + unpaidNet),
+  };
+};
+
+/**
+ * Closes a payout statement for every seller whose last statement is at
+ * least a payout period old. Statements cover entries made before the start
+ * of the current day (UTC).
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of statements created
+ */
+const generateStatements = async (now = new Date()) => {
+  const periodMs = (Number(process.env.PAYOUT_PERIOD_DAYS) || 7) * DAY_MS;
+  const periodEnd = new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+
+  const sellers = await LedgerEntry.distinct('seller', {
+    statement: null,
+    createdAt: { $lt: periodEnd },
+  });
+
+  let created = 0;
+
+  for (const seller of sellers) {
+    const last = await PayoutStatement.findOne({ seller }).sort({ periodEnd: -1 });
+
+    if (last && periodEnd - last.periodEnd < periodMs) {
+      continue;
+    }
+
+    const filter = { seller, statement: null, createdAt: { $lt: periodEnd } };
+    const { firstEntryAt, ...totals } = await sumEntries(filter);
+
+    const statement = await PayoutStatement.create({
+      seller,
+      periodStart: last ? last.periodEnd : firstEntryAt,
+      periodEnd,
+      ...totals,
+    });
+
+    // Entries made from now on are dated after periodEnd, so none are missed
+    await LedgerEntry.updateMany(filter, { $set: { statement: statement._id } });
+    created += 1;
+  }
+
+  return created;
+};
+
+export { recordSale, recordReversal, getBalance, generateStatements };
@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import templates from '../utils/emailTemplates.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Mail transports, selected with MAIL_TRANSPORT:
+ * - smtp:   deliver through the SMTP server in SMTP_HOST, SMTP_PORT,
+ *           SMTP_SECURE, SMTP_USER and SMTP_PASSWORD
+ * - outbox: render each message to a JSON file in MAIL_OUTBOX_DIR instead of
+ *           sending it, for local development and tests
+ * Production defaults to smtp, every other environment to outbox.
+ */
+let transporter;
+
+// Orders outbox files written within the same millisecond
+let outboxSequence = 0;
+
+const getTransportName = () =>
+  process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+
+const getOutboxDir = () =>
+  path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+const createTransporter = (name) => {
+  switch (name) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined,
+      });
+    case 'outbox':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown mail transport "${name}"`);
+  }
+};
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter(getTransportName());
+  }
+  return transporter;
+};
+
+/**
+ * Drops the cached transport so the next email picks up changed settings
+ */
+const resetTransport = () => {
+  transporter = undefined;
+};
+
+/**
+ * Renders a template and sends it
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Name of a template in utils/emailTemplates.js
+ * @param {Object} options.data - Values passed to the template
+ * @returns {Promise<Object>} - Transport response with messageId
+ */
+const sendEmail = async ({ to, template, data = {} }) => {
+  const render = templates[template];
+
+  if (!render) {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  const { subject, text, html } = render(data);
+
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'E-Cart <no-reply@example.com>',
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (getTransportName() === 'outbox') {
+    const dir = getOutboxDir();
+    const message = {
+      ...JSON.parse(info.message),
+      template,
+      sentAt: new Date().toISOString(),
+    };
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(
+      path.join(
+        dir,
+        `${Date.now()}-${String((outboxSequence += 1)).padStart(6, '0')}-${template}-${info.messageId.replace(/[<>@]/g, '')}.json`
+      ),
+      JSON.stringify(message, null, 2)
+    );
+  }
+
+  return info;
+};
+
+/**
+ * Sends an email without failing the calling request. Used for
+ * notifications where the action itself has already succeeded.
+ * @param {Object} options - Same options as sendEmail
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const notify = async (options) => {
+  try {
+    await sendEmail(options);
+    return true;
+  } catch (error) {
+    logger.error(`Error sending ${options.template} email: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Reads the messages written by the outbox transport, oldest first
+ * @returns {Promise<Object[]>} - Parsed messages
+ */
+const readOutbox = async () => {
+  const dir = getOutboxDir();
+  let files;
+
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const messages = await Promise.all(
+    files
+      .filter((file) => file.endsWith('.json'))
+      .sort()
+      .map(async (file) => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')))
+  );
+
+  return messages;
+};
+
+/**
+ * Removes every message from the outbox
+ * @returns {Promise<void>}
+ */
+const clearOutbox = () =>
+  fs.rm(getOutboxDir(), { recursive: true, force: true });
+
+// Export the service functions
+export { sendEmail, notify, readOutbox, clearOutbox, resetTransport };
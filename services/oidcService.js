@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ErrorResponse from '../utils/errorResponse.js';
+
+/**
+ * OpenID Connect login using the authorization code flow with PKCE.
+ *
+ * Providers are configured as JSON in OIDC_PROVIDERS, keyed by the name used
+ * in the login URL:
+ *
+ *   {
+ *     "google": {
+ *       "issuer": "https://accounts.google.com",
+ *       "clientId": "...",
+ *       "clientSecret": "..."
+ *     }
+ *   }
+ *
+ * Endpoints are read from the issuer's discovery document. Providers without
+ * discovery can set authorizationEndpoint, tokenEndpoint, userinfoEndpoint
+ * and jwksUri directly; when such a provider returns no ID token the user is
+ * read from the userinfo endpoint instead. `scope` defaults to
+ * "openid email profile".
+ */
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+const randomToken = () => base64Url(crypto.randomBytes(32));
+
+/**
+ * Gets the configuration of a provider
+ * @param {string} name - Provider name from the URL
+ * @returns {Object} - Provider configuration
+ * @throws {ErrorResponse} - 404 when the provider is not configured
+ */
+const getProvider = (name) => {
+  let providers;
+
+  try {
+    providers = JSON.parse(process.env.OIDC_PROVIDERS || '{}');
+  } catch (error) {
+    throw new ErrorResponse('OIDC_PROVIDERS is not valid JSON', 500);
+  }
+
+  const provider = Object.prototype.hasOwnProperty.call(providers, name)
+    ? providers[name]
+    : undefined;
+
+  if (!provider) {
+    throw new ErrorResponse(`Unknown login provider ${name}`, 404);
+  }
+
+  return { name, scope: 'openid email profile', ...provider };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new ErrorResponse(
+      `Login provider request failed: ${body.error_description || body.error || response.status}`,
+      502
+    );
+  }
+
+  return body;
+};
+
+/**
+ * Resolves the endpoints of a provider, using its discovery document when
+ * an issuer is configured
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} - Provider configuration with endpoints filled in
+ */
+const resolveEndpoints = async (provider) => {
+  if (!provider.issuer) {
+    return provider;
+  }
+
+  const cached = discoveryCache.get(provider.issuer);
+  let metadata = cached && cached.expires > Date.now() ? cached.metadata : null;
+
+  if (!metadata) {
+    metadata = await fetchJson(
+      `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`
+    );
+    discoveryCache.set(provider.issuer, {
+      metadata,
+      expires: Date.now() + DISCOVERY_TTL_MS,
+    });
+  }
+
+  return {
+    authorizationEndpoint: metadata.authorization_endpoint,
+    tokenEndpoint: metadata.token_endpoint,
+    userinfoEndpoint: metadata.userinfo_endpoint,
+    jwksUri: metadata.jwks_uri,
+    ...provider,
+    issuer: metadata.issuer || provider.issuer,
+  };
+};
+
+/**
+ * Finds the public key that signed an ID token, refreshing the cached key
+ * set once if the key id is unknown (providers rotate their keys)
+ * @param {string} jwksUri - Location of the provider's JSON Web Key Set
+ * @param {string} kid - Key id from the token header
+ * @returns {Promise<crypto.KeyObject>} - Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  for (const refresh of [false, true]) {
+    if (refresh || !jwksCache.has(jwksUri)) {
+      jwksCache.set(jwksUri, await fetchJson(jwksUri));
+    }
+
+    const { keys = [] } = jwksCache.get(jwksUri);
+    const jwk = keys.find((key) => !kid || key.kid === kid);
+
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new ErrorResponse('Login provider signing key not found', 401);
+};
+
+/**
+ * Builds the URL to send the user to and the values that must be kept until
+ * the provider redirects back
+ * @param {string} providerName - Provider name from the URL
+ * @param {string} redirectUri - Callback URL registered with the provider
+ * @returns {Promise<{ url: string, transaction: Object }>}
+ */
+const createAuthorizationRequest = async (providerName, redirectUri) => {
+  const provider = await resolveEndpoints(getProvider(providerName));
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = base64Url(
+    crypto.createHash('sha256').update(codeVerifier).digest()
+  );
+
+  const url = new URL(provider.authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return {
+    url: url.toString(),
+    transaction: { provider: providerName, state, nonce, codeVerifier, redirectUri },
+  };
+};
+
+/**
+ * Handles the provider's redirect back: checks the state, exchanges the
+ * code for tokens and verifies the ID token
+ * @param {string} providerName - Provider name from the URL
+ * @param {Object} params - Query parameters of the callback
+ * @param {Object} transaction - Values from createAuthorizationRequest
+ * @returns {Promise<{ subject: string, email: ?string, emailVerified: boolean, name: ?string }>}
+ */
+const completeAuthorization = async (providerName, params, transaction) => {
+  if (params.error) {
+    throw new ErrorResponse(
+      `Login was not completed: ${params.error_description || params.error}`,
+      401
+    );
+  }
+
+  if (
+    !transaction ||
+    transaction.provider !== providerName ||
+    !params.state ||
+    params.state !== transaction.state
+  ) {
+    throw new ErrorResponse('Invalid login state, please try again', 401);
+  }
+
+  if (!params.code) {
+    throw new ErrorResponse('Missing authorization code', 400);
+  }
+
+  const provider = await resolveEndpoints(getProvider(providerName));
+
+  const tokens = await fetchJson(provider.tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: params.code,
+      redirect_uri: transaction.redirectUri,
+      client_id: provider.clientId,
+      code_verifier: transaction.codeVerifier,
+      ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+    }).toString(),
+  });
+
+  let claims;
+
+  if (tokens.id_token) {
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+
+    if (!decoded) {
+      throw new ErrorResponse('Invalid ID token', 401);
+    }
+
+    const key = await getSigningKey(provider.jwksUri, decoded.header.kid);
+
+    try {
+      claims = jwt.verify(tokens.id_token, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+        issuer: provider.issuer,
+        audience: provider.clientId,
+      });
+    } catch (error) {
+      throw new ErrorResponse(`Invalid ID token: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== transaction.nonce) {
+      throw new ErrorResponse('Invalid ID token nonce', 401);
+    }
+  } else if (provider.userinfoEndpoint && tokens.access_token) {
+    claims = await fetchJson(provider.userinfoEndpoint, {
+      headers: {
+        Authorization: `Bearer ${tokens.access_token}`,
+        Accept: 'application/json',
+      },
+    });
+  } else {
+    throw new ErrorResponse('Login provider did not return an ID token', 401);
+  }
+
+  const subject = String(claims.sub ?? claims.id ?? '');
+
+  if (!subject) {
+    throw new ErrorResponse('Login provider did not identify the user', 401);
+  }
+
+  return {
+    subject,
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    // Only trust an email address the provider says it has verified
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.preferred_username || claims.login || null,
+  };
+};
+
+// Export the service functions
+export { getProvider, createAuthorizationRequest, completeAuthorization };
@@ -0,0 +1,266 @@
+import Product from '../models/Product.js';
+import escapeRegex from '../utils/escapeRegex.js';
+
+// How long the vocabulary used for typo correction is kept
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Characters of context kept around the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+// Longest search query accepted, in characters
+const MAX_QUERY_LENGTH = 100;
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+/**
+ * Splits text into lowercase search terms without accents
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+const tokenize = (text) =>
+  String(text || '')
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((term) => term.length >= 2);
+
+/**
+ * Counts the single character edits needed to turn one word into another
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * How many typos a term may contain; short words are too easy to confuse
+ * @param {string} term
+ * @returns {number}
+ */
+const allowedTypos = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+};
+
+/**
+ * Replaces terms that are not in the vocabulary with the closest known
+ * term, preferring the more common one when two are equally close
+ * @param {string[]} terms - Search terms
+ * @param {Map<string, number>} words - Known terms and how often they occur
+ * @returns {string[]} - The corrected terms
+ */
+const correctTerms = (terms, words) =>
+  terms.map((term) => {
+    const maxTypos = allowedTypos(term);
+
+    if (words.has(term) || maxTypos === 0) {
+      return term;
+    }
+
+    let best = term;
+    let bestDistance = maxTypos + 1;
+    let bestCount = 0;
+
+    words.forEach((count, word) => {
+      // Words whose length differs by more than the typo budget cannot match
+      if (Math.abs(word.length - term.length) > maxTypos) {
+        return;
+      }
+
+      const distance = editDistance(term, word);
+
+      if (distance < bestDistance || (distance === bestDistance && count > bestCount)) {
+        best = word;
+        bestDistance = distance;
+        bestCount = count;
+      }
+    });
+
+    return best;
+  });
+
+/**
+ * Loads the terms used in product names, kept in memory for a while so
+ * typo correction does not scan the catalog on every search
+ * @returns {Promise<Map<string, number>>} - Terms and how often they occur
+ */
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+
+  const products = await Product.find(Product.visibleFilter(), 'name').lean();
+  const words = new Map();
+
+  products.forEach((product) => {
+    tokenize(product.name).forEach((term) => words.set(term, (words.get(term) || 0) + 1));
+  });
+
+  vocabulary = words;
+  vocabularyBuiltAt = Date.now();
+
+  return vocabulary;
+};
+
+/**
+ * Prepares a customer's query for a text search, correcting common typos
+ * @param {string} query - The query as typed
+ * @returns {Promise<{ terms: string[], search: string, correctedQuery: ?string }>}
+ *   `search` is the string for `$text`; `correctedQuery` is set when a term
+ *   was corrected, so the storefront can say what it searched for instead
+ */
+const parseQuery = async (query) => {
+  const terms = tokenize(query);
+  const corrected = correctTerms(terms, await getVocabulary());
+  const changed = corrected.some((term, i) => term !== terms[i]);
+
+  // Keep the original terms too, in case they match a description
+  const searchTerms = [...new Set([...terms, ...corrected])];
+
+  return {
+    terms: searchTerms,
+    search: searchTerms.join(' '),
+    correctedQuery: changed ? corrected.join(' ') : null,
+  };
+};
+
+/**
+ * Escapes text for use inside HTML
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Marks the search terms in a piece of text with <em> tags. Words that
+ * start with a term are marked, so "phone" also marks "phones". Long text is
+ * cut down to a snippet around the first match.
+ * @param {string} text - Product name or description
+ * @param {string[]} terms - Search terms
+ * @param {Object} [options]
+ * @param {boolean} [options.snippet] - Whether to cut long text down
+ * @returns {?string} - HTML safe text, or null when nothing matched
+ */
+const highlight = (text, terms, { snippet = false } = {}) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  const pattern = new RegExp(
+    `\\b(?:${terms.map(escapeRegex).join('|')})[a-z0-9]*`,
+    'gi'
+  );
+  const first = text.search(pattern);
+
+  if (first === -1) {
+    return null;
+  }
+
+  let start = 0;
+  let end = text.length;
+
+  if (snippet && text.length > SNIPPET_CONTEXT * 3) {
+    start = Math.max(0, first - SNIPPET_CONTEXT);
+    end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+
+    // Do not cut words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < first ? space + 1 : first;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > first ? space : end;
+    }
+  }
+
+  const part = text.slice(start, end);
+  let html = '';
+  let last = 0;
+
+  part.replace(pattern, (match, offset) => {
+    html += `${escapeHtml(part.slice(last, offset))}<em>${escapeHtml(match)}</em>`;
+    last = offset + match.length;
+    return match;
+  });
+
+  html += escapeHtml(part.slice(last));
+
+  return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Suggests product names and search terms that start with what the
+ * customer has typed so far
+ * @param {string} prefix - The partial query
+ * @param {number} [limit] - Most suggestions of each kind
+ * @returns {Promise<{ products: Object[], terms: string[] }>}
+ */
+const suggest = async (prefix, limit = 8) => {
+  const typed = tokenize(prefix);
+  const last = typed[typed.length - 1];
+
+  if (!last) {
+    return { products: [], terms: [] };
+  }
+
+  // Any word of the name may start with the last term typed
+  const products = await Product.find({
+    ...Product.visibleFilter(),
+    name: { $regex: `\\b${escapeRegex(last)}`, $options: 'i' },
+  })
+    .select('name images price ratings')
+    .sort({ ratings: -1, numOfReviews: -1 })
+    .limit(limit)
+    .lean();
+
+  const words = await getVocabulary();
+  const before = typed.slice(0, -1).join(' ');
+  const terms = [...words.entries()]
+    .filter(([word]) => word.startsWith(last) && word !== last)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([word]) => (before ? `${before} ${word}` : word));
+
+  return {
+    products: products.map((product) => ({
+      _id: product._id,
+      name: product.name,
+      price: product.price,
+      image: product.images?.[0]?.url || null,
+    })),
+    terms,
+  };
+};
+
+export {
+  MAX_QUERY_LENGTH,
+  tokenize,
+  editDistance,
+  correctTerms,
+  parseQuery,
+  highlight,
+  suggest,
+};
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import ErrorResponse from '../utils/errorResponse.js';
+
+// How many rotated out refresh tokens each session remembers to detect reuse
+const ROTATED_TOKENS_KEPT = 50;
+
+/**
+ * Hashes a token so that only a digest is stored at rest
+ * @param {string} token - The raw token
+ * @returns {string} - Hex encoded SHA-256 digest
+ */
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Refresh tokens have the form `<sessionId>.<secret>` so the session can be
+ * found without storing the secret itself.
+ * @param {Object} session - The session the token belongs to
+ * @returns {{ refreshToken: string, refreshTokenHash: string }}
+ */
+const generateRefreshToken = (session) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  return {
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenHash: hashToken(secret),
+  };
+};
+
+/**
+ * Starts a new session (refresh token family) for a user on the calling device
+ * @param {Object} user - The authenticated user document
+ * @param {Object} req - Express request object, used for device details
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ * @throws {ErrorResponse} - 403 when the account is suspended
+ */
+const createSession = async (user, req) => {
+  if (user.isSuspended()) {
+    throw new ErrorResponse('Your account has been suspended', 403);
+  }
+
+  const lifetimeDays = Number(process.env.REFRESH_TOKEN_EXPIRE) || 30;
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000),
+  });
+
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(session);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new one. If the token is one the session
+ * has already rotated out, it is being replayed, so the whole session is
+ * revoked. Tokens the session never issued are simply rejected, so guessing
+ * a session id cannot log someone else out.
+ * @param {string} rawToken - The refresh token presented by the client
+ * @param {Object} req - Express request object, used for device details
+ * @returns {Promise<{ user: Object, session: Object, refreshToken: string }>}
+ */
+const rotateRefreshToken = async (rawToken, req) => {
+  const [sessionId, secret] = String(rawToken).split('.');
+
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  const hash = hashToken(secret);
+  const next = generateRefreshToken({ _id: sessionId });
+
+  // Swap the hash atomically so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        lastUsedAt: new Date(),
+        ip: req.ip,
+      },
+      $push: {
+        rotatedTokenHashes: { $each: [hash], $slice: -ROTATED_TOKENS_KEPT },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sessionId).select('+rotatedTokenHashes');
+
+    if (existing && existing.isActive) {
+      if (existing.wasRotatedOut(hash)) {
+        await existing.revoke('reuse');
+        throw new ErrorResponse(
+          'Refresh token reuse detected, please log in again',
+          401
+        );
+      }
+
+      throw new ErrorResponse('Invalid refresh token', 401);
+    }
+
+    throw new ErrorResponse('Session has expired, please log in again', 401);
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user) {
+    await session.revoke('user-deleted');
+    throw new ErrorResponse('Session has expired, please log in again', 401);
+  }
+
+  if (user.isSuspended()) {
+    await session.revoke('suspended');
+    throw new ErrorResponse('Your account has been suspended', 403);
+  }
+
+  return { user, session, refreshToken: next.refreshToken };
+};
+
+// Export the service functions
+export { hashToken, createSession, rotateRefreshToken };
@@ -0,0 +1,45 @@
+/**
+ * Formats one CSV field. Values that a spreadsheet would run as a formula
+ * are prefixed with a quote so exports cannot carry formula injection.
+ * @param {*} value - The field value
+ * @returns {string}
+ */
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document
+ * @param {Object[]} rows - The records to export
+ * @param {Object[]} columns - `{ header, value }` pairs, where value is a
+ *   field name or a function of the row
+ * @returns {string} - CSV text with a header line and CRLF line endings
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => formatField(column.header))];
+
+  rows.forEach((row) => {
+    lines.push(
+      columns.map((column) =>
+        formatField(
+          typeof column.value === 'function' ? column.value(row) : row[column.value]
+        )
+      )
+    );
+  });
+
+  return lines.map((fields) => fields.join(',')).join('\r\n') + '\r\n';
+};
+
+// Export the helper
+export default toCsv;
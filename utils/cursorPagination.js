@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Cursor pagination for list endpoints.
+ *
+ * Results are ordered by one field with `_id` as a tie-breaker, so the order
+ * is stable even when many documents share a value. A cursor is an opaque
+ * string holding the sort and the position of the first or last document of
+ * a page; `?cursor=` fetches the page after (or before) it. Counting every
+ * matching document is slow on large collections, so the total is only
+ * returned with `?count=true`.
+ */
+
+// Read a cursor created by encodeCursor
+const decodeCursor = (cursor) => {
+  try {
+    const { s: field, o: order, v, t, id, d: direction } = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString('utf8')
+    );
+
+    if (
+      typeof field !== 'string' ||
+      ![1, -1].includes(order) ||
+      !['next', 'prev'].includes(direction) ||
+      !mongoose.isValidObjectId(id) ||
+      // Objects could smuggle query operators into the filter
+      (v !== null && typeof v === 'object')
+    ) {
+      throw new Error('Malformed cursor');
+    }
+
+    return {
+      field,
+      order,
+      value: t === 'date' ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+      direction
+    };
+  } catch (error) {
+    throw new ErrorResponse('Invalid pagination cursor', 400);
+  }
+};
+
+// Create a cursor pointing at a document in the given direction
+const encodeCursor = ({ field, order }, doc, direction) => {
+  const value = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+
+  return Buffer.from(
+    JSON.stringify({
+      s: field,
+      o: order,
+      v: value === undefined ? null : value,
+      t: value instanceof Date ? 'date' : undefined,
+      id: String(doc._id),
+      d: direction
+    })
+  ).toString('base64url');
+};
+
+// Condition matching the documents after a position in the given order.
+// Documents without a value sort first in ascending and last in descending
+// order, so they need their own condition.
+const afterPosition = (field, order, value, id) => {
+  const op = order === 1 ? '$gt' : '$lt';
+
+  if (field === '_id') {
+    return { _id: { [op]: id } };
+  }
+
+  const sameValue = { [field]: value, _id: { [op]: id } };
+
+  if (value === null) {
+    return order === 1 ? { $or: [sameValue, { [field]: { $ne: null } }] } : sameValue;
+  }
+
+  const beyond = { [field]: { [op]: value } };
+
+  return { $or: order === 1 ? [beyond, sameValue] : [beyond, sameValue, { [field]: null }] };
+};
+
+/**
+ * Reads the paging parameters of a request
+ * @param {Object} query - The parsed query string: cursor, limit and count
+ * @param {Object} [options]
+ * @param {string} [options.sort] - A single sort field, descending with a
+ *   leading -, e.g. '-createdAt'
+ * @param {number} [options.limit] - Page size when none is asked for
+ * @param {number} [options.maxLimit] - Largest page size allowed
+ * @returns {{ field: string, order: number, cursor: ?Object, limit: number, count: boolean }}
+ * @throws {ErrorResponse} - 400 for a bad cursor or a sort on several fields
+ */
+const pageOptions = (query, { sort, limit = 25, maxLimit = 100 } = {}) => {
+  const sortBy = (sort || '-createdAt').trim();
+
+  if (/\s/.test(sortBy)) {
+    throw new ErrorResponse('Please sort by one field at a time', 400);
+  }
+
+  const field = sortBy.replace(/^-/, '');
+  const order = sortBy.startsWith('-') ? -1 : 1;
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+  // A cursor only makes sense in the order it was created for
+  if (cursor && (cursor.field !== field || cursor.order !== order)) {
+    throw new ErrorResponse('The pagination cursor does not match the sort order', 400);
+  }
+
+  return {
+    field,
+    order,
+    cursor,
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || limit, 1), maxLimit),
+    count: query.count === 'true'
+  };
+};
+
+/**
+ * Fetches one page of results
+ * @param {Object} options - From pageOptions
+ * @param {Function} fetch - Called with `{ filter, sort, limit }` and resolving
+ *   to the documents; `filter` positions the page and must be combined with
+ *   the endpoint's own filter
+ * @param {Function} [count] - Resolves to the total number of results, only
+ *   called when the client asked for it
+ * @returns {Promise<{ data: Object[], pagination: Object }>}
+ */
+const cursorPage = async (options, fetch, count) => {
+  const { field, order, cursor, limit } = options;
+  const backwards = cursor?.direction === 'prev';
+
+  // Going back reads the preceding documents in reverse order
+  const fetchOrder = backwards ? -order : order;
+  const filter = cursor ? afterPosition(field, fetchOrder, cursor.value, cursor.id) : {};
+  const sort = field === '_id' ? { _id: fetchOrder } : { [field]: fetchOrder, _id: fetchOrder };
+
+  const [docs, total] = await Promise.all([
+    fetch({ filter, sort, limit: limit + 1 }),
+    options.count && count ? count() : undefined
+  ]);
+
+  const hasMore = docs.length > limit;
+  const data = docs.slice(0, limit);
+
+  if (backwards) {
+    data.reverse();
+  }
+
+  const first = data[0];
+  const last = data[data.length - 1];
+
+  // Moving forward there is a previous page when we started from a cursor;
+  // moving back there is always a next page
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  const pagination = {
+    limit,
+    next: hasNext && last ? encodeCursor(options, last, 'next') : null,
+    prev: hasPrev && first ? encodeCursor(options, first, 'prev') : null
+  };
+
+  if (total !== undefined) {
+    pagination.total = total;
+  }
+
+  return { data, pagination };
+};
+
+export { pageOptions, cursorPage };
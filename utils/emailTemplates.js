@@ -0,0 +1,103 @@
+/**
+ * Transactional email templates. Each template receives the data needed to
+ * render it and returns the subject plus plain text and HTML bodies.
+ */
+
+const appName = () => process.env.APP_NAME || 'E-Cart';
+
+// Escape user supplied values before placing them into HTML
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatPrice = (value) => Number(value || 0).toFixed(2);
+
+// Wrap body content in the shared HTML layout
+const layout = (content) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333;">
+    ${content}
+    <p style="color: #888; font-size: 12px;">${escapeHtml(appName())}</p>
+  </body>
+</html>`;
+
+const passwordReset = ({ name, resetUrl }) => ({
+  subject: 'Password reset request',
+  text: `Hi ${name},\n\nYou are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to:\n\n${resetUrl}\n\nThis link expires in 10 minutes. If you did not request this, you can ignore this email.`,
+  html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>You are receiving this email because you (or someone else) has requested the reset of a password.</p>
+    <p><a href="${escapeHtml(resetUrl)}">Reset your password</a></p>
+    <p>This link expires in 10 minutes. If you did not request this, you can ignore this email.</p>`),
+});
+
+const emailVerification = ({ name, verifyUrl }) => ({
+  subject: 'Please verify your email address',
+  text: `Hi ${name},\n\nPlease confirm your email address by opening:\n\n${verifyUrl}\n\nThis link expires in 24 hours.`,
+  html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Please confirm your email address.</p>
+    <p><a href="${escapeHtml(verifyUrl)}">Verify your email</a></p>
+    <p>This link expires in 24 hours.</p>`),
+});
+
+const welcome = ({ name }) => ({
+  subject: `Welcome to ${appName()}`,
+  text: `Hi ${name},\n\nThanks for creating an account with ${appName()}. Happy shopping!`,
+  html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Thanks for creating an account with ${escapeHtml(appName())}. Happy shopping!</p>`),
+});
+
+const accountDeletionScheduled = ({ name, scheduledFor }) => {
+  const date = new Date(scheduledFor).toDateString();
+
+  return {
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${name},\n\nYour account and personal data will be deleted on ${date}. If you did not ask for this, log in before then and cancel the deletion.`,
+    html: layout(`
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Your account and personal data will be deleted on <strong>${escapeHtml(date)}</strong>.</p>
+      <p>If you did not ask for this, log in before then and cancel the deletion.</p>`),
+  };
+};
+
+const orderConfirmation = ({ name, order }) => {
+  const lines = order.orderItems.map(
+    (item) => `${item.quantity} x ${item.name} @ ${formatPrice(item.price)}`
+  );
+
+  return {
+    subject: `Order ${order.orderNumber} confirmed`,
+    text: `Hi ${name},\n\nThanks for your order ${order.orderNumber}.\n\n${lines.join('\n')}\n\nTotal: ${formatPrice(order.totalPrice)}`,
+    html: layout(`
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>Thanks for your order <strong>${escapeHtml(order.orderNumber)}</strong>.</p>
+      <ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+      <p>Total: <strong>${formatPrice(order.totalPrice)}</strong></p>`),
+  };
+};
+
+const shippingUpdate = ({ name, order, status, trackingNumber, details }) => ({
+  subject: `Order ${order.orderNumber}: ${status}`,
+  text: `Hi ${name},\n\nYour order ${order.orderNumber} is now ${status}.${details ? `\n\n${details}` : ''}${trackingNumber ? `\n\nTracking number: ${trackingNumber}` : ''}`,
+  html: layout(`
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>Your order <strong>${escapeHtml(order.orderNumber)}</strong> is now <strong>${escapeHtml(status)}</strong>.</p>
+    ${details ? `<p>${escapeHtml(details)}</p>` : ''}
+    ${trackingNumber ? `<p>Tracking number: ${escapeHtml(trackingNumber)}</p>` : ''}`),
+});
+
+// Export the templates keyed by name
+export default {
+  passwordReset,
+  emailVerification,
+  welcome,
+  accountDeletionScheduled,
+  orderConfirmation,
+  shippingUpdate,
+};
@@ -0,0 +1,9 @@
+/**
+ * Escapes user input so it can be used as a literal inside a RegExp
+ * @param {string} text - Raw user input
+ * @returns {string} - Input with RegExp special characters escaped
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Export the helper
+export default escapeRegex;
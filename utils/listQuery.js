@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+import ErrorResponse from './errorResponse.js';
+
+/**
+ * Turns the query string of a list endpoint into a filter, sort and field
+ * selection, allowing only what the endpoint's spec lists.
+ *
+ * Grammar:
+ *   field=value              equal to value
+ *   field[ne]=value          not equal to value
+ *   field[gt|gte|lt|lte]=v   ranges, for number and date fields
+ *   field[in]=a,b            one of several values
+ *   field[exists]=true       the field is set (or not, with false)
+ *   sort=-price,name         sort by fields, descending with a leading -
+ *   select=name,price        return only these fields
+ *
+ * A spec looks like:
+ *   {
+ *     filters: { price: 'number', status: { type: 'string', values: [...] },
+ *                seller: { type: 'objectId', path: 'shipments.seller' } },
+ *     sort: ['price', 'createdAt'],
+ *     select: ['name', 'price'],
+ *     ignore: ['q']  // parameters the endpoint reads itself
+ *   }
+ * Field types are string, number, boolean, date and objectId.
+ */
+
+// Operators each field type supports
+const OPERATORS = {
+  string: ['eq', 'ne', 'in', 'exists'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'exists'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'exists'],
+  boolean: ['eq', 'ne', 'exists'],
+  objectId: ['eq', 'ne', 'in', 'exists']
+};
+
+// Parameters every list endpoint reads itself
+const RESERVED = ['sort', 'select', 'page', 'limit', 'cursor', 'count'];
+
+// Convert one value from the query string to the type of its field
+const castValue = (name, type, value) => {
+  if (typeof value !== 'string') {
+    throw new ErrorResponse(`Invalid value for ${name}`, 400);
+  }
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (value.trim() === '' || !Number.isFinite(number)) {
+        throw new ErrorResponse(`${name} must be a number`, 400);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (value !== 'true' && value !== 'false') {
+        throw new ErrorResponse(`${name} must be true or false`, 400);
+      }
+      return value === 'true';
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new ErrorResponse(`${name} must be a date`, 400);
+      }
+      return date;
+    }
+    case 'objectId':
+      if (!mongoose.isValidObjectId(value)) {
+        throw new ErrorResponse(`${name} must be an id`, 400);
+      }
+      return new mongoose.Types.ObjectId(value);
+    default:
+      return value;
+  }
+};
+
+// Build the condition for one field from its query string value
+const fieldCondition = (name, field, raw) => {
+  const { type, values } = typeof field === 'string' ? { type: field } : field;
+
+  // A plain value means equality
+  const operations = raw !== null && typeof raw === 'object' && !Array.isArray(raw)
+    ? raw
+    : { eq: raw };
+
+  const condition = {};
+
+  Object.entries(operations).forEach(([operator, value]) => {
+    if (!OPERATORS[type].includes(operator)) {
+      throw new ErrorResponse(
+        `Unsupported operator ${operator} for ${name}. Supported: ${OPERATORS[type].join(', ')}`,
+        400
+      );
+    }
+
+    if (operator === 'exists') {
+      condition.$exists = castValue(name, 'boolean', value);
+      return;
+    }
+
+    const list = operator === 'in'
+      ? (Array.isArray(value) ? value : String(value).split(','))
+      : [value];
+
+    const cast = list.map(item => castValue(name, type, item));
+
+    if (values && cast.some(item => !values.includes(item))) {
+      throw new ErrorResponse(`${name} must be one of ${values.join(', ')}`, 400);
+    }
+
+    condition[`$${operator}`] = operator === 'in' ? cast : cast[0];
+  });
+
+  // Keep simple equality readable, e.g. { isPaid: true }
+  const keys = Object.keys(condition);
+  return keys.length === 1 && keys[0] === '$eq' ? condition.$eq : condition;
+};
+
+// Split a comma separated list of fields, checking each against the allowed
+// ones. Sort fields may start with - for descending order.
+const fieldList = (param, value, allowed) => {
+  if (typeof value !== 'string') {
+    throw new ErrorResponse(`Invalid value for ${param}`, 400);
+  }
+
+  const fields = value.split(',').map(field => field.trim()).filter(Boolean);
+
+  fields.forEach(field => {
+    const name = param === 'sort' ? field.replace(/^-/, '') : field;
+
+    if (!allowed.includes(name)) {
+      throw new ErrorResponse(
+        `Cannot ${param === 'sort' ? 'sort by' : 'select'} ${name}. Allowed: ${allowed.join(', ')}`,
+        400
+      );
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * Parses the query string of a list endpoint
+ * @param {Object} query - The parsed query string, usually req.query
+ * @param {Object} spec - What the endpoint allows, see above
+ * @returns {{ filter: Object, sort: ?string, select: ?string }} - sort and
+ *   select are strings for mongoose, or null when not given
+ * @throws {ErrorResponse} - 400 for unknown fields, operators or bad values
+ */
+const parseListQuery = (query, spec) => {
+  const { filters = {}, sort = [], select = [], ignore = [] } = spec;
+  const filter = {};
+
+  Object.entries(query).forEach(([name, raw]) => {
+    if (RESERVED.includes(name) || ignore.includes(name)) {
+      return;
+    }
+
+    const field = Object.hasOwn(filters, name) && filters[name];
+
+    if (!field) {
+      const allowed = Object.keys(filters);
+      throw new ErrorResponse(
+        `Cannot filter by ${name}.${allowed.length ? ` Allowed: ${allowed.join(', ')}` : ''}`,
+        400
+      );
+    }
+
+    filter[field.path || name] = fieldCondition(name, field, raw);
+  });
+
+  return {
+    filter,
+    sort: query.sort ? fieldList('sort', query.sort, sort).join(' ') : null,
+    select: query.select ? fieldList('select', query.select, select).join(' ') : null
+  };
+};
+
+// Export the helper
+export default parseListQuery;
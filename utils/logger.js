@@ -0,0 +1,21 @@
+import winston from 'winston';
+
+/**
+ * Application logger for work that happens outside a request, such as
+ * background jobs and emails sent after a response. Writes JSON lines in
+ * production and readable lines elsewhere; LOG_LEVEL sets how much is
+ * logged.
+ */
+const { combine, timestamp, errors, json, colorize, simple } = winston.format;
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'error' : 'info'),
+  format:
+    process.env.NODE_ENV === 'production'
+      ? combine(timestamp(), errors({ stack: true }), json())
+      : combine(colorize(), simple()),
+  transports: [new winston.transports.Console()],
+});
+
+// Export the helper
+export default logger;
@@ -0,0 +1,17 @@
+/**
+ * Turns text into a URL friendly slug, e.g. "Bob's Books & More" becomes
+ * "bobs-books-more"
+ * @param {string} text - The text to convert
+ * @returns {string} - Lowercase letters and digits separated by hyphens
+ */
+const slugify = (text) =>
+  String(text)
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Export the helper
+export default slugify;